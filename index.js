@@ -1,44 +1,402 @@
 require('dotenv').config()
 const mineflayer = require('mineflayer')
 const { pathfinder, Movements, goals } = require('mineflayer-pathfinder')
-const { GoalNear, GoalFollow, GoalBlock } = goals
+const { GoalNear, GoalFollow, GoalBlock, GoalInvert } = goals
 const mcDataLoader = require('minecraft-data')
 const { Vec3 } = require('vec3')
+const fs = require('fs')
+const path = require('path')
 const fetch = global.fetch || (() => { try { return require('node-fetch'); } catch(e) { return null } })()
 
-// sendChatCompletion: call local GPT4All HTTP API similar to test.js (supports Authorization and model name)
-async function sendChatCompletion({ model, messages, temperature = 0.3, max_tokens = null }) {
+// --- LLM providers ---
+// Each provider adapts the request body and the (streamed) response of one backend. sendChatCompletion always
+// normalizes the result to { choices: [{ message: { content } }] }, the shape the rest of the bot expects.
+const OPENAI_COMPATIBLE_PROVIDER = {
+  defaultUrl: 'https://api.openai.com/v1/chat/completions',
+  defaultModel: 'gpt-4o-mini',
+  streamFormat: 'sse',
+  supportsTools: true,
+  buildRequest({ model, messages, temperature, maxTokens, stream, tools }) {
+    const body = { model, messages, temperature, max_tokens: maxTokens }
+    if (stream) body.stream = true
+    if (tools) { body.tools = tools; body.tool_choice = 'auto' }
+    return body
+  },
+  parseResponse(json) {
+    const c = json && Array.isArray(json.choices) ? json.choices[0] : null
+    return c ? ((c.message && c.message.content) || c.text || null) : null
+  },
+  parseToolCalls(json) {
+    const c = json && Array.isArray(json.choices) ? json.choices[0] : null
+    return c && c.message && Array.isArray(c.message.tool_calls) ? c.message.tool_calls : null
+  },
+  parseStreamEvent(evt) {
+    const c = evt && Array.isArray(evt.choices) ? evt.choices[0] : null
+    return c ? ((c.delta && c.delta.content) || c.text || '') : ''
+  },
+  // tool calls arrive as fragments keyed by index: the name once, the JSON arguments in pieces
+  collectStreamToolCalls(evt, calls) {
+    const c = evt && Array.isArray(evt.choices) ? evt.choices[0] : null
+    const deltas = c && c.delta && Array.isArray(c.delta.tool_calls) ? c.delta.tool_calls : []
+    for (const d of deltas) {
+      const i = typeof d.index === 'number' ? d.index : calls.length
+      const call = calls[i] || (calls[i] = { id: d.id, type: 'function', function: { name: '', arguments: '' } })
+      if (d.function && d.function.name) call.function.name += d.function.name
+      if (d.function && d.function.arguments) call.function.arguments += d.function.arguments
+    }
+  }
+}
+
+const LLM_PROVIDERS = {
+  // OpenAI /v1/chat/completions and every server that mimics it (LM Studio, vLLM, llama.cpp's /v1 route, ...)
+  openai: OPENAI_COMPATIBLE_PROVIDER,
+  // GPT4All's local API server is OpenAI-compatible but its models do not do tool calls
+  gpt4all: { ...OPENAI_COMPATIBLE_PROVIDER, defaultUrl: 'http://127.0.0.1:4891/v1/chat/completions', defaultModel: 'Llama 3 8B Instruct', supportsTools: false },
+  // Ollama /api/chat: options instead of top-level sampling args, NDJSON when streaming
+  ollama: {
+    defaultUrl: 'http://127.0.0.1:11434/api/chat',
+    defaultModel: 'llama3:8b-instruct-q4_K_M',
+    streamFormat: 'ndjson',
+    supportsTools: true,
+    buildRequest({ model, messages, temperature, maxTokens, stream, tools }) {
+      const body = { model, messages, stream: !!stream, options: { temperature, num_predict: maxTokens } }
+      if (tools) body.tools = tools
+      return body
+    },
+    parseResponse(json) {
+      return json && json.message && typeof json.message.content === 'string' ? json.message.content : null
+    },
+    parseToolCalls(json) {
+      return json && json.message && Array.isArray(json.message.tool_calls) ? json.message.tool_calls : null
+    },
+    parseStreamEvent(evt) {
+      return (evt && evt.message && evt.message.content) || ''
+    },
+    // Ollama sends each tool call complete in one chunk
+    collectStreamToolCalls(evt, calls) {
+      if (evt && evt.message && Array.isArray(evt.message.tool_calls)) calls.push(...evt.message.tool_calls)
+    }
+  },
+  // llama.cpp server /completion: raw prompt in, { content } out
+  llamacpp: {
+    defaultUrl: 'http://127.0.0.1:8080/completion',
+    defaultModel: null,
+    streamFormat: 'sse',
+    supportsTools: false,
+    buildRequest({ messages, temperature, maxTokens, stream }) {
+      const prompt = messages.map(m => `${m.role === 'system' ? 'System' : m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`).join('\n') + '\nAssistant:'
+      return { prompt, temperature, n_predict: maxTokens, stream: !!stream, stop: ['\nUser:', '\nSystem:'] }
+    },
+    parseResponse(json) {
+      return json && typeof json.content === 'string' ? json.content : null
+    },
+    parseStreamEvent(evt) {
+      return (evt && evt.content) || ''
+    }
+  }
+}
+const LLM_PROVIDER_ALIASES = { 'llama.cpp': 'llamacpp', llama_cpp: 'llamacpp', 'openai-compatible': 'openai' }
+
+// getLLMConfig: resolve provider, endpoint, model and key from LLM_* env vars (GPT4ALL_* still honored)
+function getLLMConfig() {
+  const raw = String(process.env.LLM_PROVIDER || 'gpt4all').toLowerCase()
+  const name = LLM_PROVIDER_ALIASES[raw] || raw
+  const provider = LLM_PROVIDERS[name]
+  if (!provider) throw new Error(`Unknown LLM_PROVIDER "${raw}" (expected one of: ${Object.keys(LLM_PROVIDERS).join(', ')})`)
+  const legacy = name === 'gpt4all'
+  return {
+    name,
+    provider,
+    url: process.env.LLM_URL || (legacy && process.env.GPT4ALL_URL) || provider.defaultUrl,
+    model: process.env.LLM_MODEL || (legacy && process.env.GPT4ALL_MODEL) || provider.defaultModel,
+    // OPENAI_API_KEY is only meant for OpenAI itself, never sent to a local server
+    apiKey: process.env.LLM_API_KEY || (legacy && process.env.GPT4ALL_API_KEY) || (name === 'openai' && process.env.OPENAI_API_KEY) || null,
+    // LLM_TOOLS=1/0 forces native tool calling on/off; a backend that rejected tools once is not sent them again
+    tools: !llmToolsRejected && (process.env.LLM_TOOLS !== undefined ? process.env.LLM_TOOLS === '1' : !!provider.supportsTools)
+  }
+}
+
+// set when the backend answered a request carrying tools with an error (model without tool support)
+let llmToolsRejected = false
+
+// llmToolsEnabled: whether requests currently carry native tool definitions
+function llmToolsEnabled() {
+  try { return getLLMConfig().tools } catch (e) { return false }
+}
+
+// --- LLM resilience: timeouts, retries, circuit breaker ---
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 60000
+// 0 is a valid setting here, so only a missing or non-numeric value falls back to the default
+const LLM_RETRIES = (n => Number.isFinite(n) && n >= 0 ? Math.floor(n) : 2)(parseInt(process.env.LLM_RETRIES, 10))
+const LLM_RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS) || 1000
+// errors that mean the connection dropped mid-request and is worth another try
+const RETRYABLE_NET_CODES = ['ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'UND_ERR_SOCKET']
+
+// createCircuitBreaker: after `threshold` consecutive failures stop calling for `cooldownMs`, then let one trial
+// request through (half-open). onOpen/onClose fire once per outage so callers can announce it.
+function createCircuitBreaker({ threshold = 3, cooldownMs = 60000, onOpen = null, onClose = null } = {}) {
+  let failures = 0
+  let openedAt = null
+  let trialInFlight = false
+  return {
+    // true while requests would be refused (open and still cooling down, or a trial request is pending)
+    isOpen() { return openedAt !== null && (now() - openedAt < cooldownMs || trialInFlight) },
+    allowRequest() {
+      if (openedAt === null) return true
+      if (now() - openedAt < cooldownMs || trialInFlight) return false
+      trialInFlight = true
+      return true
+    },
+    recordSuccess() {
+      failures = 0
+      trialInFlight = false
+      if (openedAt !== null) { openedAt = null; if (onClose) onClose() }
+    },
+    recordFailure(err) {
+      failures++
+      const wasTrial = trialInFlight
+      trialInFlight = false
+      if (wasTrial) { openedAt = now(); return }
+      if (openedAt === null && failures >= threshold) { openedAt = now(); if (onOpen) onOpen(err) }
+    }
+  }
+}
+
+const llmBreaker = createCircuitBreaker({
+  threshold: Number(process.env.LLM_BREAKER_THRESHOLD) || 3,
+  cooldownMs: Number(process.env.LLM_BREAKER_COOLDOWN_MS) || 60000,
+  onOpen: (err) => {
+    console.warn('[llm] circuit opened after repeated failures:', err && err.message)
+    try { bot.chat('LLM is offline — switching to simple mode until it is back.') } catch (e) {}
+  },
+  onClose: () => {
+    console.log('[llm] circuit closed, LLM reachable again')
+    try { bot.chat('LLM is back online.') } catch (e) {}
+  }
+})
+
+function isRetryableNetworkError(e) {
+  const code = (e && e.cause && e.cause.code) || (e && e.code)
+  return RETRYABLE_NET_CODES.includes(code)
+}
+
+// exponential backoff with jitter: ~1s, 2s, 4s ...
+function retryDelay(attempt) {
+  return LLM_RETRY_BASE_MS * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5)
+}
+
+// sendChatCompletion: call the LLM through the circuit breaker; throws an error with code LLM_OFFLINE while it is open
+async function sendChatCompletion(opts) {
+  if (!llmBreaker.allowRequest()) {
+    const err = new Error('LLM offline (circuit open)')
+    err.code = 'LLM_OFFLINE'
+    throw err
+  }
+  try {
+    const res = await requestChatCompletion(opts)
+    llmBreaker.recordSuccess()
+    return res
+  } catch (e) {
+    llmBreaker.recordFailure(e)
+    throw e
+  }
+}
+
+// requestChatCompletion: call the configured LLM provider (default: local GPT4All HTTP API)
+// every attempt is aborted after LLM_TIMEOUT_MS without data; 5xx replies and connection resets are retried with backoff.
+// with stream=true the reply stream is read incrementally: onSentence receives chat text sentence by sentence,
+// onJson receives each complete top-level JSON object and onItem each object inside a JSON array (plan steps / actions)
+// tools: OpenAI-style tool definitions, sent only when the provider supports them; calls come back in message.tool_calls
+async function requestChatCompletion({ model, messages, temperature = 0.3, max_tokens = null, stream = false, onSentence = null, onJson = null, onItem = null, tools = null }) {
   if (!fetch) throw new Error('fetch not available; install node-fetch or run Node 18+')
-  const url = process.env.GPT4ALL_URL || 'http://127.0.0.1:4891/v1/chat/completions'
-  const apiKey = process.env.GPT4ALL_API_KEY || process.env.OPENAI_API_KEY || null
+  const cfg = getLLMConfig()
   const headers = { 'Content-Type': 'application/json' }
-  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`
+  if (cfg.apiKey) headers['Authorization'] = `Bearer ${cfg.apiKey}`
   // allow configuring max tokens via parameter or environment variables
-  const DEFAULT_MAX_TOKENS = Number(process.env.GPT4ALL_MAX_TOKENS) || 2048
-  const MULTIPLIER = Number(process.env.GPT4ALL_TOKEN_MULTIPLIER) || 5 // default: give ~5x tokens
+  const DEFAULT_MAX_TOKENS = Number(process.env.LLM_MAX_TOKENS || process.env.GPT4ALL_MAX_TOKENS) || 2048
+  const MULTIPLIER = Number(process.env.LLM_TOKEN_MULTIPLIER || process.env.GPT4ALL_TOKEN_MULTIPLIER) || 5 // default: give ~5x tokens
   const finalMaxTokens = (typeof max_tokens === 'number' && !isNaN(max_tokens)) ? max_tokens : Math.min(DEFAULT_MAX_TOKENS * MULTIPLIER, 32768)
   // send a minimal compatible payload; local endpoints often reject non-standards args — include max_tokens to request longer outputs
-  const body = { model: model || process.env.GPT4ALL_MODEL || 'Llama 3 8B Instruct', messages, temperature, max_tokens: finalMaxTokens }
+  const withTools = cfg.tools && Array.isArray(tools) && tools.length ? tools : null
+  const body = cfg.provider.buildRequest({ model: model || cfg.model, messages, temperature, maxTokens: finalMaxTokens, stream, tools: withTools })
 
-  const res = await fetch(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(body)
-  })
+  const controller = new AbortController()
+  let timer = null
+  // (re)arm the abort timer; while streaming it is re-armed on every event so only a stalled stream times out
+  const armTimeout = () => { clearTimeout(timer); timer = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS) }
+  try {
+    const result = await readChatCompletion(cfg, headers, body, controller, armTimeout, { stream, onSentence, onJson, onItem })
+    if (withTools && result && result.error) {
+      // most likely a model without tool support: fall back to plain text + JSON parsing from now on
+      console.warn('[llm] request with tools failed, retrying without tools:', result.error)
+      llmToolsRejected = true
+      clearTimeout(timer)
+      // the prompt was written for tool calls: ask for the JSON form instead
+      const plain = messages.map(m => m.role === 'system' && typeof m.content === 'string' ? { ...m, content: m.content.replace(` ${TOOLS_HINT}`, '') } : m)
+      return await requestChatCompletion({ model, messages: plain, temperature, max_tokens, stream, onSentence, onJson, onItem })
+    }
+    return result
+  } catch (e) {
+    if (controller.signal.aborted) {
+      const err = new Error(`LLM request timed out after ${LLM_TIMEOUT_MS}ms`)
+      err.code = 'LLM_TIMEOUT'
+      throw err
+    }
+    throw e
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// readChatCompletion: POST with retries, then read the reply (streamed or plain) and normalize it
+async function readChatCompletion(cfg, headers, body, controller, armTimeout, { stream, onSentence, onJson, onItem }) {
+  let res
+  for (let attempt = 0; ; attempt++) {
+    armTimeout()
+    try {
+      res = await fetch(cfg.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      })
+    } catch (e) {
+      if (controller.signal.aborted || !isRetryableNetworkError(e) || attempt >= LLM_RETRIES) throw e
+      console.warn(`[llm] connection error (${(e.cause && e.cause.code) || e.code}), retry ${attempt + 1}/${LLM_RETRIES}`)
+      await sleep(retryDelay(attempt))
+      continue
+    }
+    if (res.status < 500) break
+    if (attempt >= LLM_RETRIES) throw new Error(`LLM request failed: HTTP ${res.status}`)
+    console.warn(`[llm] HTTP ${res.status}, retry ${attempt + 1}/${LLM_RETRIES}`)
+    try { await res.text() } catch (e) {}
+    await sleep(retryDelay(attempt))
+  }
+  // servers without streaming support ignore the flag and answer with plain JSON, handled below
+  const contentType = (res.headers && res.headers.get && res.headers.get('content-type')) || ''
+  const streamedBody = contentType.includes('text/event-stream') || contentType.includes('ndjson')
+  if (stream && res.body && streamedBody) {
+    const parser = createStreamParser({ onSentence, onJson, onItem })
+    const toolCalls = []
+    for await (const evt of readStreamEvents(res.body, cfg.provider.streamFormat)) {
+      armTimeout()
+      if (evt && evt.error) {
+        try { console.error('LLM API stream error:', evt.error) } catch (e) {}
+        return { choices: [{ message: { content: parser.end() } }], streamed: true, error: evt.error }
+      }
+      const piece = cfg.provider.parseStreamEvent(evt)
+      if (piece) parser.feed(piece)
+      if (cfg.provider.collectStreamToolCalls) cfg.provider.collectStreamToolCalls(evt, toolCalls)
+    }
+    const message = { content: parser.end() }
+    if (toolCalls.length) message.tool_calls = toolCalls.filter(Boolean)
+    return { choices: [{ message }], streamed: true }
+  }
   const text = await res.text()
   let json
   try { json = JSON.parse(text) } catch (e) { json = text }
   if (json && json.error) {
     try { console.error('LLM API error:', json.error) } catch (e) {}
-    return { choices: [{ message: { content: '' } }] }
+    return { choices: [{ message: { content: '' } }], error: json.error }
   }
-  // normalize to choices[0].message.content where possible
-  if (json && Array.isArray(json.choices) && json.choices[0] && json.choices[0].message && json.choices[0].message.content) return json
+  // normalize to choices[0].message.content (+ tool_calls) where possible
+  const content = typeof json === 'object' && json ? cfg.provider.parseResponse(json) : null
+  const toolCalls = typeof json === 'object' && json && cfg.provider.parseToolCalls ? cfg.provider.parseToolCalls(json) : null
+  if (toolCalls && toolCalls.length) return { choices: [{ message: { content: content || '', tool_calls: toolCalls } }] }
+  if (typeof content === 'string') return { choices: [{ message: { content } }] }
   if (json && typeof json.text === 'string') return { choices: [{ message: { content: json.text } }] }
   if (typeof json === 'string') return { choices: [{ message: { content: json } }] }
   return json
 }
 
+// readStreamEvents: yield each parsed JSON event of a streamed reply until it ends.
+// 'sse' reads `data:` lines up to [DONE]; 'ndjson' treats every line as one JSON event.
+async function* readStreamEvents(body, format = 'sse') {
+  const decoder = new TextDecoder()
+  let buf = ''
+  // WHATWG streams (global fetch) and node streams (node-fetch) are both async iterable
+  for await (const chunk of body) {
+    buf += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+    let nl
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      let line = buf.slice(0, nl).trim()
+      buf = buf.slice(nl + 1)
+      if (format === 'sse') {
+        if (!line.startsWith('data:')) continue
+        line = line.slice(5).trim()
+        if (line === '[DONE]') return
+      }
+      if (!line) continue
+      try { yield JSON.parse(line) } catch (e) {}
+    }
+  }
+  if (format === 'ndjson' && buf.trim()) { try { yield JSON.parse(buf) } catch (e) {} }
+}
+
+// createStreamParser: incremental scanner over streamed reply text. Prose outside JSON is emitted sentence by sentence,
+// JSON objects are emitted the moment their closing brace arrives. end() flushes the rest and returns the full text.
+function createStreamParser({ onSentence, onJson, onItem } = {}) {
+  let text = ''
+  let prose = ''
+  const stack = [] // open JSON containers: { ch, start }
+  let inString = false
+  let escaped = false
+
+  function emitSentence(s) {
+    const clean = s.replace(/```(?:json)?/gi, '').replace(/\s+/g, ' ').trim()
+    if (clean && onSentence) { try { onSentence(clean) } catch (e) { console.error('onSentence failed:', e) } }
+  }
+  function flushProse(force) {
+    let m
+    // a sentence ends at . ! ? followed by whitespace, or at a newline
+    while ((m = prose.match(/[.!?](?=\s)|\n/))) {
+      emitSentence(prose.slice(0, m.index + 1))
+      prose = prose.slice(m.index + 1)
+    }
+    if (force) { emitSentence(prose); prose = '' }
+  }
+  function emitJson(cb, jsonText) {
+    if (!cb) return
+    let obj
+    try { obj = JSON.parse(jsonText) } catch (e) { return }
+    try { cb(obj) } catch (e) { console.error('stream JSON callback failed:', e) }
+  }
+
+  function feed(chunk) {
+    for (const ch of String(chunk)) {
+      const i = text.length
+      text += ch
+      if (!stack.length) {
+        if (ch === '{') { flushProse(true); stack.push({ ch, start: i }) }
+        else { prose += ch; flushProse(false) }
+        continue
+      }
+      if (inString) {
+        if (escaped) escaped = false
+        else if (ch === '\\') escaped = true
+        else if (ch === '"') inString = false
+        continue
+      }
+      if (ch === '"') { inString = true; continue }
+      if (ch === '{' || ch === '[') { stack.push({ ch, start: i }); continue }
+      if (ch === '}' || ch === ']') {
+        const open = stack.pop()
+        if (ch !== '}' || !open || open.ch !== '{') continue
+        const parent = stack[stack.length - 1]
+        if (!parent) emitJson(onJson, text.slice(open.start, i + 1))
+        else if (parent.ch === '[') emitJson(onItem, text.slice(open.start, i + 1))
+      }
+    }
+  }
+
+  function end() {
+    flushProse(true)
+    return text
+  }
+
+  return { feed, end }
+}
+
 const bot = mineflayer.createBot({
   host: process.env.MC_HOST || 'localhost', 
   port: Number(process.env.MC_PORT ||  25565),  
@@ -55,61 +413,409 @@ let running = true
 let busy = false
 let currentTask = null
 let loopTimer = null
-let knownBlocks = new Map()
+const blockMemory = createBlockMemory()
+const landmarks = new Map() // name -> { name, position, createdAt, by }
+const containers = new Map() // posKey -> { name, position, items, updatedAt }
 let inventoryMap = {}
 let botIsOp = true
 let duelTarget = null
 let duelInterval = null
 let lastHealth = null
+let plannerInFlight = false
 
 const ALLOW_DESTRUCTIVE = process.env.ALLOW_DESTRUCTIVE === '1' || true
 const ALLOW_COMMANDS = process.env.ALLOW_COMMANDS === '1' || true
 const OWNER_USERNAME = process.env.MC_OWNER || null
+const LLM_STREAM = process.env.LLM_STREAM === '1'
 
 function now() { return Date.now() }
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
-function setBusy(state, name = null) { busy = state; currentTask = state ? name : null }
+// setBusy nests: a dig inside a gather job hands the job back its busy state when it finishes
+const busyTasks = []
+function setBusy(state, name = null) {
+  if (state) busyTasks.push(name)
+  else busyTasks.pop()
+  busy = busyTasks.length > 0
+  currentTask = busy ? busyTasks[busyTasks.length - 1] : null
+}
 function posKey(p) { return `${p.x},${p.y},${p.z}` }
 
+// --- spatial block memory ---
+// Positions of interesting blocks, indexed by block name and chunk. Filled incrementally from chunk loads and
+// block updates (no periodic full scans) and queried nearest-first by walking chunk rings outwards.
+const BLOCK_INDEX_RE = new RegExp(process.env.BLOCK_MEMORY_INDEX || '_ore$|_log$|_stem$|^crafting_table$|chest$|^barrel$|^furnace$|^blast_furnace$|^smoker$|_bed$|^anvil$|^enchanting_table$|^spawner$|^obsidian$|shulker_box$')
+const BLOCK_INDEX_CHUNKS_PER_TICK = Number(process.env.BLOCK_INDEX_CHUNKS_PER_TICK) || 2
+
+function chunkKeyOf(x, z) { return `${x >> 4},${z >> 4}` }
+
+function createBlockMemory() {
+  const byPos = new Map() // posKey -> { name, position }
+  const byName = new Map() // name -> Map(chunkKey -> Set(posKey))
+  const byChunk = new Map() // chunkKey -> Set(posKey)
+
+  function removeAt(position) {
+    const key = posKey(position)
+    const entry = byPos.get(key)
+    if (!entry) return false
+    byPos.delete(key)
+    const ck = chunkKeyOf(entry.position.x, entry.position.z)
+    const inChunk = byChunk.get(ck)
+    if (inChunk) { inChunk.delete(key); if (!inChunk.size) byChunk.delete(ck) }
+    const chunks = byName.get(entry.name)
+    const named = chunks && chunks.get(ck)
+    if (named) { named.delete(key); if (!named.size) chunks.delete(ck); if (!chunks.size) byName.delete(entry.name) }
+    return true
+  }
+
+  function add(name, position) {
+    const key = posKey(position)
+    const existing = byPos.get(key)
+    if (existing && existing.name === name) return
+    if (existing) removeAt(position)
+    const entry = { name, position: new Vec3(position.x, position.y, position.z) }
+    byPos.set(key, entry)
+    const ck = chunkKeyOf(position.x, position.z)
+    if (!byChunk.has(ck)) byChunk.set(ck, new Set())
+    byChunk.get(ck).add(key)
+    if (!byName.has(name)) byName.set(name, new Map())
+    const chunks = byName.get(name)
+    if (!chunks.has(ck)) chunks.set(ck, new Set())
+    chunks.get(ck).add(key)
+  }
+
+  function clearChunk(chunkX, chunkZ) {
+    const keys = byChunk.get(`${chunkX},${chunkZ}`)
+    if (!keys) return
+    for (const key of [...keys]) removeAt(byPos.get(key).position)
+  }
+
+  // nearest(names, origin): up to `count` remembered blocks of the given names within `radius`, closest first.
+  // Only chunks that contain one of the names are looked at, ring by ring, stopping once no closer block can follow.
+  function nearest(names, origin, { radius = 64, count = 1 } = {}) {
+    const indexes = names.map(n => byName.get(n)).filter(Boolean)
+    if (!indexes.length) return []
+    const ocx = Math.floor(origin.x) >> 4
+    const ocz = Math.floor(origin.z) >> 4
+    const maxRing = Math.ceil(radius / 16) + 1
+    const found = []
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let dx = -ring; dx <= ring; dx++) {
+        for (let dz = -ring; dz <= ring; dz++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue
+          const ck = `${ocx + dx},${ocz + dz}`
+          for (const chunks of indexes) {
+            const keys = chunks.get(ck)
+            if (!keys) continue
+            for (const key of keys) {
+              const entry = byPos.get(key)
+              const d = origin.distanceTo(entry.position)
+              if (d <= radius) found.push({ name: entry.name, position: entry.position, distance: d })
+            }
+          }
+        }
+      }
+      // every block in the next ring is at least ring * 16 blocks away
+      if (found.length >= count) {
+        found.sort((a, b) => a.distance - b.distance)
+        if (found[count - 1].distance <= ring * 16) break
+      }
+    }
+    found.sort((a, b) => a.distance - b.distance)
+    return found.slice(0, count)
+  }
+
+  return {
+    add,
+    removeAt,
+    clearChunk,
+    nearest,
+    get: (position) => byPos.get(posKey(position)) || null,
+    names: () => [...byName.keys()],
+    entries: () => byPos.values(),
+    clear() { byPos.clear(); byName.clear(); byChunk.clear() },
+    get size() { return byPos.size }
+  }
+}
+
+// registry ids of the block types kept in memory, built once the registry is known
+let indexedBlockIds = null
+function getIndexedBlockIds() {
+  if (!indexedBlockIds && bot.registry) {
+    indexedBlockIds = new Set(bot.registry.blocksArray.filter(b => BLOCK_INDEX_RE.test(b.name)).map(b => b.id))
+  }
+  return indexedBlockIds || new Set()
+}
+
+function stateIdToBlockId(stateId) {
+  const b = bot.registry.blocksByStateId && bot.registry.blocksByStateId[stateId]
+  return b ? b.id : stateId >> 4
+}
+
 function rememberBlock(b) {
   if (!b) return
-  knownBlocks.set(posKey(b.position), { id: b.type, name: b.name, position: b.position, metadata: b.metadata })
+  if (getIndexedBlockIds().has(b.type)) blockMemory.add(b.name, b.position)
+  else blockMemory.removeAt(b.position)
+  if (CONTAINER_BLOCK_RE.test(b.name)) rememberContainer(b.position, b.name)
+  else containers.delete(posKey(b.position))
 }
 
 function forgetBlockAt(pos) {
-  knownBlocks.delete(posKey(pos))
+  blockMemory.removeAt(pos)
 }
 
-function scanNearby(radius = 24) {
-  const origin = bot.entity.position.floored()
-  const found = []
-  for (let dx = -radius; dx <= radius; dx++) {
-    for (let dy = -8; dy <= 8; dy++) {
-      for (let dz = -radius; dz <= radius; dz++) {
-        const p = origin.offset(dx, dy, dz)
-        const b = bot.blockAt(p)
-        if (b) {
-          rememberBlock(b)
-          found.push(b)
+// indexColumn: (re)index one loaded chunk column. Sections whose palette holds no indexed block are skipped
+// without reading a single block, the same trick bot.findBlocks uses.
+function indexColumn(chunkX, chunkZ) {
+  const column = bot.world.getColumn(chunkX, chunkZ)
+  if (!column) return
+  const ids = getIndexedBlockIds()
+  if (!ids.size) return
+  blockMemory.clearChunk(chunkX, chunkZ)
+  const minY = bot.game.minY || 0
+  const height = bot.game.height || 256
+  const sections = Array.isArray(column.sections) ? column.sections : null
+  const cursor = new Vec3(0, 0, 0)
+  for (let si = 0; si < height >> 4; si++) {
+    const section = sections ? sections[si] : true
+    if (!section) continue
+    if (section.palette && !section.palette.some(sid => ids.has(stateIdToBlockId(sid)))) continue
+    const baseY = minY + si * 16
+    for (let y = baseY; y < baseY + 16; y++) {
+      for (let x = 0; x < 16; x++) {
+        for (let z = 0; z < 16; z++) {
+          cursor.set(x, y, z)
+          const type = column.getBlockType(cursor)
+          if (!ids.has(type)) continue
+          const name = bot.registry.blocks[type].name
+          const pos = new Vec3(chunkX * 16 + x, y, chunkZ * 16 + z)
+          blockMemory.add(name, pos)
+          if (CONTAINER_BLOCK_RE.test(name)) rememberContainer(pos, name)
         }
       }
     }
   }
-  return found
+}
+
+// chunk columns waiting to be indexed; drained a few per tick, nearest to the bot first
+const pendingColumns = new Map()
+setInterval(() => {
+  if (!pendingColumns.size || !bot.entity || !bot.world) return
+  const here = bot.entity.position
+  const order = [...pendingColumns.values()].sort((a, b) =>
+    Math.hypot(a.x * 16 + 8 - here.x, a.z * 16 + 8 - here.z) - Math.hypot(b.x * 16 + 8 - here.x, b.z * 16 + 8 - here.z))
+  for (const c of order.slice(0, BLOCK_INDEX_CHUNKS_PER_TICK)) {
+    pendingColumns.delete(`${c.x},${c.z}`)
+    try { indexColumn(c.x, c.z) } catch (e) { console.error('[memory] indexColumn failed:', c, e) }
+  }
+}, 100)
+
+// seed memory around the bot with the palette-aware bot.findBlocks (e.g. right after spawn)
+function scanNearby(radius = 24) {
+  const ids = [...getIndexedBlockIds()]
+  if (!ids.length || !bot.entity) return []
+  const positions = bot.findBlocks({ matching: ids, maxDistance: radius, count: 4096 })
+  for (const pos of positions) rememberBlock(bot.blockAt(pos, false))
+  return positions
 }
 
 function findKnownBlockByName(name, radius = 24) {
-  const origin = bot.entity.position
-  let best = null
-  let bestDist = Infinity
-  for (const v of knownBlocks.values()) {
-    if (!v || !v.name) continue
-    if (v.name === name || v.name.includes(name)) {
-      const d = origin.distanceTo(v.position)
-      if (d < bestDist && d <= radius) { best = v; bestDist = d }
+  const names = blockMemory.names().filter(n => n === name || n.includes(name))
+  const hit = blockMemory.nearest(names, bot.entity.position, { radius, count: 1 })[0]
+  return hit ? { name: hit.name, position: hit.position } : null
+}
+
+// --- persistent world memory ---
+// Block memory, landmarks and containers are saved per server and dimension under MEMORY_DIR, loaded on spawn or
+// when the dimension changes, and compacted + saved every MEMORY_SAVE_INTERVAL_MS.
+const MEMORY_DIR = process.env.MEMORY_DIR || path.join(__dirname, 'memory')
+const MEMORY_SAVE_INTERVAL_MS = Number(process.env.MEMORY_SAVE_INTERVAL_MS) || 60000
+const MEMORY_MAX_PER_BLOCK = Number(process.env.MEMORY_MAX_PER_BLOCK) || 2000
+const SERVER_ID = `${process.env.MC_HOST || 'localhost'}_${Number(process.env.MC_PORT || 25565)}`
+const CONTAINER_BLOCK_RE = /chest$|^barrel$|shulker_box$/
+let memoryDimension = null
+
+function memoryFile(dimension) {
+  const safe = (v) => String(v).replace(/[^a-zA-Z0-9_.-]+/g, '_')
+  return path.join(MEMORY_DIR, safe(SERVER_ID), `${safe(dimension)}.json`)
+}
+
+function currentDimension() {
+  try { return bot._getDimensionName() || 'unknown' } catch (e) { return 'unknown' }
+}
+
+// serializeMemory: compact JSON snapshot — block positions are flat [x,y,z,...] arrays grouped by name
+function serializeMemory(dimension) {
+  const blocks = {}
+  for (const entry of blockMemory.entries()) {
+    if (!blocks[entry.name]) blocks[entry.name] = []
+    blocks[entry.name].push(entry.position.x, entry.position.y, entry.position.z)
+  }
+  const marks = {}
+  for (const [name, m] of landmarks) marks[name] = { position: [m.position.x, m.position.y, m.position.z], createdAt: m.createdAt, by: m.by || null }
+  const boxes = {}
+  for (const [key, c] of containers) boxes[key] = { name: c.name, position: [c.position.x, c.position.y, c.position.z], items: c.items || {}, updatedAt: c.updatedAt || null, label: c.label || null, freeSlots: c.freeSlots ?? null }
+  return JSON.stringify({ version: 1, server: SERVER_ID, dimension, savedAt: now(), blocks, landmarks: marks, containers: boxes })
+}
+
+function loadMemory(dimension) {
+  blockMemory.clear()
+  landmarks.clear()
+  containers.clear()
+  const file = memoryFile(dimension)
+  let data
+  try { data = JSON.parse(fs.readFileSync(file, 'utf8')) } catch (e) {
+    if (e.code !== 'ENOENT') console.error('[memory] could not read', file, e.message)
+    return false
+  }
+  for (const [name, flat] of Object.entries(data.blocks || {})) {
+    for (let i = 0; i + 2 < flat.length; i += 3) blockMemory.add(name, new Vec3(flat[i], flat[i + 1], flat[i + 2]))
+  }
+  for (const [name, m] of Object.entries(data.landmarks || {})) {
+    landmarks.set(name, { name, position: new Vec3(...m.position), createdAt: m.createdAt, by: m.by || null })
+  }
+  for (const [key, c] of Object.entries(data.containers || {})) {
+    containers.set(key, { name: c.name, position: new Vec3(...c.position), items: c.items || {}, updatedAt: c.updatedAt || null, label: c.label || null, freeSlots: c.freeSlots ?? null })
+  }
+  console.log(`[memory] loaded ${dimension}: ${blockMemory.size} blocks, ${landmarks.size} landmarks, ${containers.size} containers`)
+  return true
+}
+
+// saveMemory: write the snapshot atomically (tmp file + rename); sync variant for shutdown
+async function saveMemory(dimension = memoryDimension) {
+  if (!dimension) return false
+  const file = memoryFile(dimension)
+  const json = serializeMemory(dimension)
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true })
+    await fs.promises.writeFile(file + '.tmp', json)
+    await fs.promises.rename(file + '.tmp', file)
+    return true
+  } catch (e) {
+    console.error('[memory] save failed:', e.message)
+    return false
+  }
+}
+
+function saveMemorySync(dimension = memoryDimension) {
+  if (!dimension) return false
+  const file = memoryFile(dimension)
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file + '.tmp', serializeMemory(dimension))
+    fs.renameSync(file + '.tmp', file)
+    return true
+  } catch (e) {
+    console.error('[memory] save failed:', e.message)
+    return false
+  }
+}
+
+// ensureMemoryDimension: switch to the memory of the dimension the bot is in (saving the one it leaves)
+function ensureMemoryDimension() {
+  const dim = currentDimension()
+  if (dim === memoryDimension) return
+  if (memoryDimension) saveMemorySync(memoryDimension)
+  pendingColumns.clear()
+  memoryDimension = dim
+  loadMemory(dim)
+}
+
+// compactMemory: drop containers whose block is gone and keep at most MEMORY_MAX_PER_BLOCK of each block name
+function compactMemory() {
+  let removed = 0
+  for (const [key, c] of containers) {
+    const b = bot.blockAt(c.position)
+    if (b && !CONTAINER_BLOCK_RE.test(b.name)) { containers.delete(key); removed++ }
+  }
+  const origin = bot.entity ? bot.entity.position : new Vec3(0, 0, 0)
+  const byName = new Map()
+  for (const entry of blockMemory.entries()) {
+    if (!byName.has(entry.name)) byName.set(entry.name, [])
+    byName.get(entry.name).push(entry)
+  }
+  for (const list of byName.values()) {
+    if (list.length <= MEMORY_MAX_PER_BLOCK) continue
+    list.sort((a, b) => origin.distanceTo(a.position) - origin.distanceTo(b.position))
+    for (const entry of list.slice(MEMORY_MAX_PER_BLOCK)) { blockMemory.removeAt(entry.position); removed++ }
+  }
+  return removed
+}
+
+setInterval(async () => {
+  if (!memoryDimension || !bot.entity) return
+  try {
+    const removed = compactMemory()
+    if (removed) console.log(`[memory] compacted ${removed} entries`)
+  } catch (e) { console.error('[memory] compaction failed:', e) }
+  await saveMemory()
+}, MEMORY_SAVE_INTERVAL_MS)
+
+function setLandmark(name, position, by = null) {
+  const key = String(name).toLowerCase()
+  landmarks.set(key, { name: key, position: position.floored(), createdAt: now(), by })
+  return landmarks.get(key)
+}
+
+function getLandmark(name) {
+  return landmarks.get(String(name).toLowerCase()) || null
+}
+
+function deleteLandmark(name) {
+  return landmarks.delete(String(name).toLowerCase())
+}
+
+const CHEST_DIRS = { north: new Vec3(0, 0, -1), east: new Vec3(1, 0, 0), south: new Vec3(0, 0, 1), west: new Vec3(-1, 0, 0) }
+
+// chestPartner: position of the other half of a double chest, or null for a single chest / other containers
+function chestPartner(pos, name) {
+  if (!/^(trapped_)?chest$/.test(name)) return null
+  const block = bot.blockAt(pos)
+  const props = block && block.getProperties ? block.getProperties() : {}
+  if (props.type) {
+    // the "left" half joins the block clockwise of its facing, the "right" half the one counter-clockwise
+    const dirs = Object.keys(CHEST_DIRS)
+    const i = dirs.indexOf(props.facing)
+    if (props.type === 'single' || i < 0) return null
+    return pos.plus(CHEST_DIRS[dirs[(i + (props.type === 'left' ? 1 : 3)) % 4]])
+  }
+  // before 1.13 the halves are not marked: a chest of the same kind right beside it
+  for (const f of Object.values(CHEST_DIRS)) {
+    const other = pos.plus(f)
+    if (bot.blockAt(other)?.name === name) return other
+  }
+  return null
+}
+
+// containerPosition: a double chest is indexed once, under its half with the lower x (then z)
+function containerPosition(pos, name) {
+  const other = chestPartner(pos, name)
+  if (!other) return pos
+  return other.x < pos.x || (other.x === pos.x && other.z < pos.z) ? other : pos
+}
+
+// rememberContainer: record a container block, optionally with its item counts. The other half of a double chest
+// is folded into the canonical entry, keeping its label and contents if the canonical one has none.
+function rememberContainer(position, name, items = null) {
+  const canonical = containerPosition(position, name)
+  const key = posKey(canonical)
+  const partner = chestPartner(canonical, name)
+  const folded = partner && containers.get(posKey(partner))
+  if (folded) {
+    containers.delete(posKey(partner))
+    if (!containers.has(key)) containers.set(key, { ...folded, position: new Vec3(canonical.x, canonical.y, canonical.z) })
+    else {
+      const entry = containers.get(key)
+      if (!entry.label && folded.label) entry.label = folded.label
+      if (!entry.updatedAt && folded.updatedAt) { entry.items = folded.items; entry.updatedAt = folded.updatedAt; entry.freeSlots = folded.freeSlots }
     }
   }
-  return best
+  position = canonical
+  const existing = containers.get(key)
+  const entry = existing || { name, position: new Vec3(position.x, position.y, position.z), items: {}, updatedAt: null }
+  entry.name = name
+  if (items) { entry.items = items; entry.updatedAt = now() }
+  containers.set(key, entry)
+  return entry
 }
 
 function refreshInventory() {
@@ -120,34 +826,144 @@ function refreshInventory() {
   return inventoryMap
 }
 
-// keep inventory and nearby blocks reasonably up-to-date
-setInterval(() => { try { refreshInventory(); scanNearby(16) } catch (e) {} }, 2000)
+// keep inventory reasonably up-to-date; block memory follows chunk loads and block updates instead of polling
+setInterval(() => { try { refreshInventory() } catch (e) {} }, 2000)
 
 bot.on('blockUpdate', (oldBlock, newBlock) => {
-  if (newBlock && newBlock.type !== 0) rememberBlock(newBlock)
-  if (oldBlock && (!newBlock || newBlock.type === 0)) forgetBlockAt(oldBlock.position)
+  ensureMemoryDimension()
+  if (newBlock) rememberBlock(newBlock)
+  else if (oldBlock) forgetBlockAt(oldBlock.position)
 })
 
-bot.on('chunkColumnLoad', (chunkX, chunkZ) => {
-  try { scanNearby(32) } catch (e) {}
+bot.on('chunkColumnLoad', (corner) => {
+  if (!corner) return
+  ensureMemoryDimension()
+  const x = Math.floor(corner.x / 16)
+  const z = Math.floor(corner.z / 16)
+  pendingColumns.set(`${x},${z}`, { x, z })
 })
 
+// --- world context for prompts ---
+// A compact summary of the bot's surroundings prepended to planner and chat prompts, so the model plans with real
+// coordinates instead of guessing. Sizes are configurable; the whole block is capped at CONTEXT_MAX_CHARS.
+const CONTEXT_MAX_CHARS = process.env.CONTEXT_MAX_CHARS !== undefined ? Number(process.env.CONTEXT_MAX_CHARS) : 1500
+const CONTEXT_RADIUS = Number(process.env.CONTEXT_RADIUS) || 16
+const CONTEXT_MAX_BLOCKS = process.env.CONTEXT_MAX_BLOCKS !== undefined ? Number(process.env.CONTEXT_MAX_BLOCKS) : 12
+const CONTEXT_MAX_ENTITIES = process.env.CONTEXT_MAX_ENTITIES !== undefined ? Number(process.env.CONTEXT_MAX_ENTITIES) : 8
+const CONTEXT_MAX_ITEMS = process.env.CONTEXT_MAX_ITEMS !== undefined ? Number(process.env.CONTEXT_MAX_ITEMS) : 16
+
+function facingName(yaw) {
+  // mineflayer yaw 0 looks towards -z (north) and grows counter-clockwise
+  const dirs = ['north', 'west', 'south', 'east']
+  const i = Math.round(((yaw % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI) / (Math.PI / 2)) % 4
+  return dirs[i]
+}
+
+// nearest notable remembered blocks, at most `perName` of each kind
+// lava and water are not worth indexing, but the model has to know where they are
+const CONTEXT_HAZARD_BLOCKS = ['lava', 'water']
+
+function notableBlocksNear(origin, radius, max, perName = 2) {
+  const picked = []
+  for (const name of blockMemory.names()) picked.push(...blockMemory.nearest([name], origin, { radius, count: perName }))
+  for (const name of CONTEXT_HAZARD_BLOCKS) {
+    for (const b of findNearestBlocks([name], radius, perName)) picked.push({ name: b.name, position: b.position, distance: b.position.distanceTo(origin) })
+  }
+  return picked.sort((a, b) => a.distance - b.distance).slice(0, max)
+}
+
+function entityLabel(e) {
+  if (e.type === 'player') return `player ${e.username}`
+  if (e.name === 'item' && typeof e.getDroppedItem === 'function') {
+    const it = e.getDroppedItem()
+    if (it) return `dropped ${it.name} x${it.count}`
+  }
+  return e.name || e.displayName || e.type || 'entity'
+}
+
+// buildWorldContext: text summary of position, facing, vitals, inventory, nearby blocks/entities, time and weather
+function buildWorldContext({ maxChars = CONTEXT_MAX_CHARS, radius = CONTEXT_RADIUS, maxBlocks = CONTEXT_MAX_BLOCKS, maxEntities = CONTEXT_MAX_ENTITIES, maxItems = CONTEXT_MAX_ITEMS } = {}) {
+  if (!bot.entity || maxChars <= 0) return ''
+  const pos = bot.entity.position
+  const here = pos.floored()
+  const lines = ['World state:']
+  lines.push(`Bot at ${posKey(here)} facing ${facingName(bot.entity.yaw)}. Health ${Math.round(bot.health ?? 0)}/20, food ${bot.food ?? '?'}/20.`)
+  const tod = bot.time && typeof bot.time.timeOfDay === 'number' ? bot.time.timeOfDay : null
+  const phase = tod === null ? 'unknown' : (tod < 12000 ? 'day' : tod < 13800 ? 'dusk' : tod < 22200 ? 'night' : 'dawn')
+  const weather = bot.thunderState > 0 ? 'thunderstorm' : bot.isRaining ? 'rain' : 'clear'
+  lines.push(`Time: ${phase}${tod === null ? '' : ` (${tod})`}, weather: ${weather}.`)
+
+  const inv = Object.entries(refreshInventory()).sort((a, b) => b[1] - a[1])
+  if (maxItems > 0) {
+    const shown = inv.slice(0, maxItems).map(([n, c]) => `${n} x${c}`)
+    lines.push(`Inventory: ${shown.length ? shown.join(', ') : 'empty'}${inv.length > maxItems ? `, +${inv.length - maxItems} more` : ''}.`)
+  }
+
+  if (maxBlocks > 0) {
+    const blocks = notableBlocksNear(pos, radius, maxBlocks)
+    lines.push(`Nearby blocks: ${blocks.length ? blocks.map(b => `${b.name} at ${posKey(b.position)}`).join('; ') : 'nothing notable'}.`)
+  }
+
+  if (landmarks.size && maxBlocks > 0) {
+    const marks = [...landmarks.values()].sort((a, b) => a.position.distanceTo(pos) - b.position.distanceTo(pos)).slice(0, maxBlocks)
+    lines.push(`Waypoints (use {"waypoint":"name"} instead of x,y,z): ${marks.map(describeWaypoint).join('; ')}.`)
+  }
+
+  if (maxEntities > 0) {
+    const ents = Object.values(bot.entities)
+      .filter(e => e && e !== bot.entity && e.position && e.position.distanceTo(pos) <= radius)
+      .sort((a, b) => a.position.distanceTo(pos) - b.position.distanceTo(pos))
+      .slice(0, maxEntities)
+    lines.push(`Nearby entities: ${ents.length ? ents.map(e => `${entityLabel(e)} at ${posKey(e.position.floored())}`).join('; ') : 'none'}.`)
+  }
+
+  let text = lines.join('\n')
+  if (text.length > maxChars) text = text.slice(0, maxChars - 3) + '...'
+  return text
+}
+
+// withWorldContext: prefix a prompt with the current world summary (unchanged if the summary is empty or fails)
+function withWorldContext(prompt) {
+  let ctx = ''
+  try { ctx = buildWorldContext() } catch (e) { console.error('[context] buildWorldContext failed:', e) }
+  return ctx ? `${ctx}\n\n${prompt}` : prompt
+}
+
 async function stopMovement() {
   try { bot.pathfinder.stop() } catch {}
   await sleep(150)
 }
 
-async function gotoNear(pos, range = 1) {
+// gotoNear: resolves true on arrival, false when no path exists or the walk is stopped or replaced by another goal.
+// timeoutMs: give up (and stop walking) after that long
+async function gotoNear(pos, range = 1, timeoutMs = null) {
   return new Promise((resolve) => {
-    bot.pathfinder.setGoal(new GoalNear(pos.x, pos.y, pos.z, range))
+    const goal = new GoalNear(pos.x, pos.y, pos.z, range)
     const onArrive = () => { cleanup(); resolve(true) }
     const onCannot = () => { cleanup(); resolve(false) }
+    // the pathfinder keeps walking a partial path after noPath/timeout: stop it before reporting the failure. Deferred,
+    // because the partial path is only installed after the path_update listeners have run.
+    const giveUp = () => {
+      cleanup()
+      setImmediate(() => {
+        if (bot.pathfinder.goal === goal) try { bot.pathfinder.setGoal(null) } catch (e) {}
+        resolve(false)
+      })
+    }
+    const onUpdate = (r) => { if (r.status === 'noPath' || r.status === 'timeout') giveUp() }
+    const timer = timeoutMs !== null ? setTimeout(giveUp, Math.max(0, timeoutMs)) : null
     function cleanup() {
+      clearTimeout(timer)
       bot.removeListener('goal_reached', onArrive)
-      bot.removeListener('cannotFind', onCannot)
+      bot.removeListener('path_update', onUpdate)
+      bot.removeListener('path_stop', onCannot)
+      bot.removeListener('goal_updated', onCannot)
     }
+    bot.pathfinder.setGoal(goal)
     bot.once('goal_reached', onArrive)
-    bot.once('cannotFind', onCannot)
+    bot.on('path_update', onUpdate)
+    bot.once('path_stop', onCannot)
+    bot.once('goal_updated', onCannot)
   })
 }
 
@@ -155,20 +971,27 @@ async function lookAtCenter(pos) {
   await bot.lookAt(pos.offset(0.5, 0.5, 0.5))
 }
 
-function findNearestBlocks(names, radius = 24) {
-  const origin = bot.entity.position.floored()
+// findNearestBlocks: loaded blocks with one of the given names, closest first. Indexed names come from block memory
+// (stale entries are dropped on the way); anything else is a palette-aware bot.findBlocks query.
+function findNearestBlocks(names, radius = 24, count = 16) {
+  const origin = bot.entity.position
+  const ids = getIndexedBlockIds()
+  const indexed = names.filter(n => bot.registry.blocksByName[n] && ids.has(bot.registry.blocksByName[n].id))
   const blocks = []
-  for (let dx = -radius; dx <= radius; dx++) {
-    for (let dy = -8; dy <= 8; dy++) {
-      for (let dz = -radius; dz <= radius; dz++) {
-        const p = origin.offset(dx, dy, dz)
-        const b = bot.blockAt(p)
-        if (b && names.includes(b.name)) blocks.push(b)
-      }
+  for (const hit of blockMemory.nearest(indexed, origin, { radius, count })) {
+    const b = bot.blockAt(hit.position)
+    if (b && b.name === hit.name) blocks.push(b)
+    else if (b) rememberBlock(b)
+  }
+  const others = names.filter(n => !indexed.includes(n) && bot.registry.blocksByName[n]).map(n => bot.registry.blocksByName[n].id)
+  if (others.length) {
+    for (const pos of bot.findBlocks({ matching: others, maxDistance: radius, count })) {
+      const b = bot.blockAt(pos)
+      if (b) blocks.push(b)
     }
   }
-  blocks.sort((a, b) => bot.entity.position.distanceTo(a.position) - bot.entity.position.distanceTo(b.position))
-  return blocks
+  blocks.sort((a, b) => origin.distanceTo(a.position) - origin.distanceTo(b.position))
+  return blocks.slice(0, count)
 }
 
 function findNearbyBlock(names, radius = 10) {
@@ -220,8 +1043,99 @@ async function pickupNearbyItems(timeoutMs = 4000) {
   }
 }
 
+// --- hazards ---
+// Checked before every dig and every goto step; a non-null result is the reason the action is refused.
+const HAZARD_MAX_FALL = Number(process.env.HAZARD_MAX_FALL) || 3 // falls up to 3 blocks cause no damage
+const HAZARD_MIN_OXYGEN = Number(process.env.HAZARD_MIN_OXYGEN) || 8 // of 20
+const FALLING_BLOCK_RE = /^(sand|red_sand|gravel|suspicious_sand|suspicious_gravel|anvil|chipped_anvil|damaged_anvil|pointed_dripstone)$|_concrete_powder$/
+const FACES = [new Vec3(1, 0, 0), new Vec3(-1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, -1, 0), new Vec3(0, 0, 1), new Vec3(0, 0, -1)]
+let surfacing = false
+
+// dropBelow: how many free cells there are under pos before solid ground (capped at limit + 1)
+function dropBelow(pos, limit = HAZARD_MAX_FALL) {
+  let depth = 0
+  for (let y = pos.y - 1; depth <= limit; y--, depth++) {
+    const b = bot.blockAt(new Vec3(pos.x, y, pos.z))
+    if (!b || b.boundingBox === 'block' || b.name === 'water') break
+  }
+  return depth
+}
+
+function digHazard(block) {
+  const p = block.position
+  const feet = bot.entity.position.floored()
+  if (p.x === feet.x && p.z === feet.z && p.y === feet.y - 1) return 'it is the block I am standing on'
+  for (const f of FACES) {
+    const n = bot.blockAt(p.plus(f))
+    if (n && n.name.includes('lava')) return `lava next to it at ${posKey(n.position)}`
+    if (f.y !== -1 && n && n.name.includes('water')) return `water would flood in from ${posKey(n.position)}`
+  }
+  // digging straight up under sand or gravel drops it onto our head
+  const above = bot.blockAt(p.offset(0, 1, 0))
+  if (above && FALLING_BLOCK_RE.test(above.name) && p.x === feet.x && p.z === feet.z && p.y > feet.y) return `${above.name} above would fall on me`
+  // ground next to us: removing it opens a hole we might step into
+  if (p.y === feet.y - 1 && 1 + dropBelow(p) > HAZARD_MAX_FALL) return `it opens a drop deeper than ${HAZARD_MAX_FALL} blocks`
+  return null
+}
+
+function gotoHazard(pos) {
+  const target = pos.floored()
+  const at = bot.blockAt(target)
+  if (!at) return null // not loaded yet (far waypoints): the pathfinder plans around what it finds on the way
+  if (at.name.includes('lava')) return 'the destination is lava'
+  const below = bot.blockAt(target.offset(0, -1, 0))
+  if (below && (below.name.includes('lava') || below.name === 'magma_block')) return `it stands on ${below.name}`
+  for (const f of FACES) {
+    const n = bot.blockAt(target.plus(f))
+    if (n && n.name.includes('lava')) return `lava next to it at ${posKey(n.position)}`
+  }
+  if (dropBelow(target) > HAZARD_MAX_FALL) return `it is over a drop deeper than ${HAZARD_MAX_FALL} blocks`
+  return null
+}
+
+function refuseHazard(action, pos, reason) {
+  console.log(`[hazard] refusing ${action} at ${posKey(pos)}: ${reason}`)
+  try { bot.chat(`Not going to ${action} at ${posKey(pos)}: ${reason}`) } catch (e) {}
+}
+
+// surface: swim up until we can breathe again; treated like a defense interruption so the task resumes afterwards
+async function surface() {
+  if (surfacing) return
+  surfacing = true
+  defenseInterrupts++
+  console.log(`[hazard] oxygen ${bot.oxygenLevel}/20, surfacing`)
+  try { bot.chat('Running out of air, surfacing') } catch (e) {}
+  try { bot.stopDigging() } catch (e) {}
+  await stopMovement()
+  const started = now()
+  let lastY = bot.entity.position.y
+  let lastProgress = now()
+  try {
+    await bot.look(bot.entity.yaw, Math.PI / 2, true)
+    while (now() - started < 20000 && bot.oxygenLevel < 20) {
+      const eyes = bot.blockAt(bot.entity.position.offset(0, bot.entity.height, 0))
+      if (!eyes || !eyes.name.includes('water')) break
+      bot.setControlState('jump', true)
+      // a ceiling over the water: swim forward to find a way up
+      if (bot.entity.position.y > lastY + 0.5) { lastY = bot.entity.position.y; lastProgress = now() }
+      bot.setControlState('forward', now() - lastProgress > 2000)
+      await sleep(100)
+    }
+  } finally {
+    bot.clearControlStates()
+    surfacing = false
+    console.log(`[hazard] surfaced after ${Math.round((now() - started) / 1000)}s, oxygen ${bot.oxygenLevel}/20`)
+  }
+}
+
+bot.on('breath', () => {
+  if (bot.oxygenLevel < HAZARD_MIN_OXYGEN && !surfacing) surface().catch(e => console.error('[hazard] surfacing failed:', e))
+})
+
 async function safeDig(block) {
   if (!block || block.name === 'air') return false
+  const hazard = digHazard(block)
+  if (hazard) { refuseHazard('dig', block.position, hazard); return false }
   setBusy(true, 'dig')
   try {
     await stopMovement()
@@ -247,159 +1161,1544 @@ async function safePlace(referenceBlock, faceVec3, itemName) {
   finally { setBusy(false) }
 }
 
+// dropItemsToPlayer: hand over everything carried of the exactly named items
 async function dropItemsToPlayer(username, names) {
-  const target = bot.players[username]?.entity
-  if (!target) return false
-  await gotoNear(target.position, 1)
+  let ok = true
   for (const n of Array.isArray(names) ? names : [names]) {
-    const stacks = bot.inventory.items().filter(i => i.name === n || i.name.includes(n))
-    for (const st of stacks) { try { await bot.tossStack(st) } catch {} await sleep(100) }
+    const carried = countItem([n])
+    if (carried) ok = await giveItem(username, n, carried) && ok
   }
-  return true
+  return ok
 }
 
-async function craftPlanks(targetAdditional = 8) {
-  const woods = ['oak_log','birch_log','spruce_log','jungle_log','acacia_log','dark_oak_log','mangrove_log','cherry_log','bamboo_block']
-  let crafted = 0
-  for (const w of woods) {
-    const plankName = w.includes('bamboo') ? 'bamboo_planks' :
-      w.includes('dark_oak') ? 'dark_oak_planks' :
-      w.includes('cherry') ? 'cherry_planks' :
-      w.includes('mangrove') ? 'mangrove_planks' :
-      w.includes('acacia') ? 'acacia_planks' :
-      w.includes('spruce') ? 'spruce_planks' :
-      w.includes('birch') ? 'birch_planks' : 'oak_planks'
-    const plankId = mcData.itemsByName[plankName]?.id
-    if (!plankId) continue
-    // use bot.recipesFor to find a recipe for the target item
-    const recipes = bot.recipesFor(plankId, null, 1, null)
-    const recipe = Array.isArray(recipes) ? recipes[0] : null
-    if (!recipe) continue
-    try { await bot.craft(recipe, 1, null); crafted += 4; if (crafted >= targetAdditional) break } catch {}
-  }
-  return crafted > 0
-}
-
-let workbenchPos = null
-async function ensureWorkbench() {
-  const existing = findNearbyBlock(['crafting_table'], 6)
-  if (existing) { workbenchPos = existing.position; return true }
-  if (!findItem('crafting_table')) {
-    const planks = countItem(['oak_planks','birch_planks','spruce_planks','jungle_planks','acacia_planks','dark_oak_planks','mangrove_planks','cherry_planks','bamboo_planks'])
-    if (planks < 4) { const ok = await craftPlanks(4 - planks); if (!ok) return false }
-    const tableId = mcData.itemsByName['crafting_table']?.id
-    if (!tableId) return false
-    // use bot.recipesFor to find recipe for crafting_table
-    const recipes = bot.recipesFor(tableId, null, 1, null)
-    const recipe = Array.isArray(recipes) ? recipes[0] : null
-    if (!recipe) return false
-    try { await bot.craft(recipe, 1, null) } catch { return false }
-  }
-  const ref = bot.blockAt(bot.entity.position.offset(0, -1, 0))
-  if (!ref) return false
-  const placed = await safePlace(ref, new Vec3(0, 1, 0), 'crafting_table')
-  if (placed) { workbenchPos = ref.position.offset(0, 1, 0); return true }
-  return false
+// --- item handoff ---
+const GIVE_TIMEOUT_MS = Number(process.env.GIVE_TIMEOUT_MS) || 10000
+
+// giveItem: toss exactly `count` of an item to a player, wait for them to pick it up, and take back what is left
+async function giveItem(username, itemName, count = 1) {
+  const item = bot.registry.itemsByName[itemName]
+  if (!item) { try { bot.chat(`Unknown item: ${itemName}`) } catch (e) {} ; return false }
+  const player = findPlayerEntity(username)
+  if (!player) { try { bot.chat(`I cannot see ${username}`) } catch (e) {} ; return false }
+  const carried = countItem([itemName])
+  const amount = Math.min(count, carried)
+  // only what is carried is handed over; chests are for an explicit "withdraw"
+  const stored = [...containers.values()].some(c => c.items && c.items[itemName] > 0)
+  const more = stored ? ` (more is in my chests: withdraw ${itemName} first)` : ''
+  if (!amount) { try { bot.chat(`I have no ${itemName}${more}`) } catch (e) {} ; return false }
+  setBusy(true, 'give')
+  const dropped = new Map() // entity id -> entity
+  let handed = 0
+  const onDrop = (entity) => {
+    if (entity.position.distanceTo(bot.entity.position) > 3) return
+    const drop = entity.getDroppedItem && entity.getDroppedItem()
+    if (drop && drop.type === item.id) dropped.set(entity.id, entity)
+  }
+  const onCollect = (collector, collected) => {
+    if (!dropped.has(collected.id)) return
+    const drop = collected.getDroppedItem && collected.getDroppedItem()
+    dropped.delete(collected.id)
+    if (collector === player) handed += drop ? drop.count : 0
+  }
+  try {
+    if (bot.entity.position.distanceTo(player.position) > 3) await gotoNear(player.position, 2)
+    await bot.lookAt(player.position.offset(0, player.height * 0.9, 0), true)
+    bot.on('itemDrop', onDrop)
+    bot.on('playerCollect', onCollect)
+    await bot.toss(item.id, null, amount)
+    const started = now()
+    while (now() - started < GIVE_TIMEOUT_MS && (handed < amount)) await sleep(250)
+    // not picked up in time: collect our items again so they do not despawn on the ground
+    for (const entity of [...dropped.values()]) {
+      if (entity.isValid) await gotoNear(entity.position, 0)
+    }
+    await sleep(500)
+  } catch (e) {
+    console.error('[give] failed:', e.message || e)
+  } finally {
+    bot.removeListener('itemDrop', onDrop)
+    bot.removeListener('playerCollect', onCollect)
+    setBusy(false)
+  }
+  // whatever was neither taken nor picked back up is still lying around (or gone)
+  const recovered = Math.max(0, countItem([itemName]) - (carried - amount))
+  const lost = Math.max(0, amount - handed - recovered)
+  console.log(`[give] ${player.username} took ${handed}/${amount} ${itemName}, recovered ${recovered}, lost ${lost}`)
+  const short = amount < count ? ` (I only had ${amount}${more})` : ''
+  let report = `Gave ${player.username} ${handed} ${itemName}${short}`
+  if (handed < amount) {
+    report = `${player.username} took ${handed}/${amount} ${itemName}` +
+      (recovered ? `; I picked ${recovered} back up` : '') +
+      (lost ? `; ${lost} still on the ground` : '')
+  }
+  try { bot.chat(report) } catch (e) {}
+  return handed >= count
 }
 
-async function craftAtTable(resultName, count) {
-  const tbl = workbenchPos ? bot.blockAt(workbenchPos) : findNearbyBlock(['crafting_table'], 6)
-  if (!tbl) { const ok = await ensureWorkbench(); if (!ok) return false }
-  const tableBlock = workbenchPos ? bot.blockAt(workbenchPos) : findNearbyBlock(['crafting_table'], 6)
-  if (!tableBlock) return false
-  const id = mcData.itemsByName[resultName]?.id
-  if (!id) return false
-  // use bot.recipesFor to find a recipe suitable for the table
-  const recipes = bot.recipesFor(id, null, 1, tableBlock.type)
-  const recipe = Array.isArray(recipes) ? recipes[0] : null
-  if (!recipe) return false
-  try { await bot.craft(recipe, count, tableBlock); return true } catch { return false }
+// --- crafting ---
+// craftItem walks bot.recipesAll recursively against a simulated inventory and picks, per item, the recipe variant
+// that leaves the fewest raw materials missing. Nothing is crafted unless the whole tree is covered; otherwise the
+// exact raw materials still needed are reported. A crafting table is reused or placed only for 3x3 recipes.
+const CRAFT_MAX_DEPTH = 8
+const CRAFT_TABLE_RADIUS = 16
+
+function itemNameOf(id) { return bot.registry.items[id]?.name || String(id) }
+
+function inventoryById() {
+  const inv = {}
+  for (const it of bot.inventory.items()) inv[it.type] = (inv[it.type] || 0) + it.count
+  return inv
 }
 
-async function craftSticks(count = 2) {
-  const id = mcData.itemsByName['stick']?.id
-  if (!id) return false
-  // use bot.recipesFor to find stick recipe
-  const recipes = bot.recipesFor(id, null, 1, null)
-  const recipe = Array.isArray(recipes) ? recipes[0] : null
-  if (!recipe) return false
-  try { await bot.craft(recipe, count, null); return true } catch { return false }
+function recipeInputs(recipe) {
+  return recipe.delta.filter(d => d.count < 0).map(d => ({ id: d.id, count: -d.count }))
 }
 
-async function ensureWoodPick() {
-  if (findItem('wooden_pickaxe')) return true
-  if (countItem(['stick']) < 2) { const ok = await craftSticks(2); if (!ok) return false }
-  if (countItem(['oak_planks','birch_planks','spruce_planks','jungle_planks','acacia_planks','dark_oak_planks','mangrove_planks','cherry_planks','bamboo_planks']) < 3) {
-    const ok = await craftPlanks(3); if (!ok) return false
+// isUnpackRecipe: ingots from a block, nuggets from an ingot... only worth it when the packed form is already carried
+function isUnpackRecipe(recipe, id, inv) {
+  const inputs = recipeInputs(recipe)
+  if (inputs.length !== 1 || inv[inputs[0].id] > 0) return false
+  return bot.recipesAll(inputs[0].id, null, true).some(r => recipeInputs(r).every(i => i.id === id))
+}
+
+function addCounts(into, counts) {
+  for (const [k, n] of Object.entries(counts)) into[k] = (into[k] || 0) + n
+  return into
+}
+
+// planInputs: item name -> how many of it the given craft/smelt steps consume
+function planInputs(steps) {
+  const used = {}
+  for (const s of steps) {
+    if (s.smelt) addCounts(used, { [s.input]: s.count })
+    else for (const i of recipeInputs(s.recipe)) addCounts(used, { [itemNameOf(i.id)]: i.count * s.times })
   }
-  const okTable = await ensureWorkbench(); if (!okTable) return false
-  return await craftAtTable('wooden_pickaxe', 1)
+  return used
 }
 
-async function ensureStonePick() {
-  if (findItem('stone_pickaxe')) return true
-  if (countItem(['stick']) < 2) { const ok = await craftSticks(2); if (!ok) return false }
-  if (countItem(['cobblestone']) < 3) { const ok = await collectStone(6); if (!ok) return false }
-  const okTable = await ensureWorkbench(); if (!okTable) return false
-  return await craftAtTable('stone_pickaxe', 1)
+// craftVariants: every way to make item id — crafting recipes, then smelting — as { inputs, times, made, step }
+function craftVariants(id, need, inv) {
+  const name = itemNameOf(id)
+  const variants = []
+  for (const recipe of bot.recipesAll(id, null, true)) {
+    if (isUnpackRecipe(recipe, id, inv)) continue
+    const times = Math.ceil(need / recipe.result.count)
+    const made = times * recipe.result.count
+    variants.push({ inputs: recipeInputs(recipe).map(i => ({ id: i.id, count: i.count * times })), made, step: { recipe, times, name, count: made } })
+  }
+  for (const input of SMELTING[name] || []) {
+    const src = bot.registry.itemsByName[input]
+    if (src) variants.push({ inputs: [{ id: src.id, count: need }], made: need, step: { smelt: true, input, times: need, name, count: need } })
+  }
+  return variants
 }
 
-async function collectWood(target = 8) {
-  // Large action disabled: collectWood is a macroscopic behavior and is intentionally blocked.
-  try { bot.chat('collectWood is disabled. Use micro-actions (inspect/goto/dig) and request a precise plan.') } catch (e) {}
-  return false
+// planCraft: steps (dependencies first) that leave `count` of item id in inv, which is updated as if they had run
+function planCraft(id, count, inv, stack = []) {
+  const use = Math.min(inv[id] || 0, count)
+  inv[id] = (inv[id] || 0) - use
+  const need = count - use
+  if (need <= 0) return { steps: [], missing: {} }
+  let best = null
+  if (stack.length < CRAFT_MAX_DEPTH) {
+    for (const variant of craftVariants(id, need, inv)) {
+      if (variant.inputs.some(i => i.id === id || stack.includes(i.id))) continue
+      const trial = { ...inv }
+      const plan = { steps: [], missing: {} }
+      for (const input of variant.inputs) {
+        const sub = planCraft(input.id, input.count, trial, [...stack, id])
+        plan.steps.push(...sub.steps)
+        addCounts(plan.missing, sub.missing)
+      }
+      plan.steps.push(variant.step)
+      trial[id] += variant.made - need
+      const missing = Object.values(plan.missing).reduce((a, b) => a + b, 0)
+      if (!best || missing < best.missing || (missing === best.missing && plan.steps.length < best.plan.steps.length)) best = { plan, inv: trial, missing }
+      if (missing === 0) break
+    }
+  }
+  // no recipe at all: a raw material
+  if (!best) return { steps: [], missing: { [itemNameOf(id)]: need } }
+  Object.assign(inv, best.inv)
+  return best.plan
 }
 
-async function collectStone(target = 12) {
-  // Large action disabled: collectStone is a macroscopic behavior and is intentionally blocked.
-  try { bot.chat('collectStone is disabled. Use micro-actions (inspect/goto/dig) and request a precise plan.') } catch (e) {}
-  return false
+// placeNearby: place an item on solid ground in a free cell next to us; returns the placed block or null
+async function placeNearby(itemName) {
+  const me = bot.entity.position.floored()
+  for (const dir of [new Vec3(1, 0, 0), new Vec3(-1, 0, 0), new Vec3(0, 0, 1), new Vec3(0, 0, -1)]) {
+    const cell = me.plus(dir)
+    const at = bot.blockAt(cell)
+    const below = bot.blockAt(cell.offset(0, -1, 0))
+    if (!at || at.boundingBox !== 'empty' || !below || below.boundingBox !== 'block') continue
+    if (await safePlace(below, new Vec3(0, 1, 0), itemName)) {
+      const placed = bot.blockAt(cell)
+      if (placed && placed.name === itemName) { rememberBlock(placed); return placed }
+    }
+  }
+  return null
 }
 
-async function pipelineEarly() {
-  // High-level pipeline handler: ask the planner to produce a micro-action plan for the pipeline
-  try { bot.chat('Received pipeline request — generating detailed micro plan...') } catch (e) {}
-  const inst = 'Decompose a high-level startup pipeline into up to 10 micro-steps using only inspect/goto/dig with numeric x,y,z coords within 10 blocks. Example JSON: {"plan":{"steps":[{"name":"inspect","params":{"x":..,"y":..,"z":..},"rationale":"..."}]}}. Keep rationales short.'
-  const plan = await requestPlanFromLLM(inst)
-  if (plan && Array.isArray(plan.steps) && plan.steps.length) {
-    try { await executePlan(plan.steps) } catch (e) { console.error('executePlan failed for pipelineEarly:', e) }
-    return true
+// ensureWorkbench: a crafting table block within reach of a walk, placing (and if needed crafting) one
+async function ensureWorkbench() {
+  const existing = findNearbyBlock(['crafting_table'], CRAFT_TABLE_RADIUS)
+  if (existing) return existing
+  if (!findItem('crafting_table') && !await craftItem('crafting_table', 1)) return null
+  const placed = await placeNearby('crafting_table')
+  if (!placed) try { bot.chat('No free spot to put down a crafting table') } catch (e) {}
+  return placed
+}
+
+async function craftItem(name, count = 1) {
+  const item = bot.registry.itemsByName[name]
+  if (!item) { try { bot.chat(`Unknown item: ${name}`) } catch (e) {} ; return false }
+  let plan = planCraft(item.id, count, inventoryById())
+  // a crafting table or furnace that has to be made comes out of the same materials, so plan those first
+  const stations = [
+    ['crafting_table', plan.steps.some(s => s.recipe && s.recipe.requiresTable)],
+    ['furnace', plan.steps.some(s => s.smelt)]
+  ].filter(([station, needed]) => needed && !findNearbyBlock([station], CRAFT_TABLE_RADIUS) && !findItem(station))
+  if (stations.length) {
+    const inv = inventoryById()
+    const steps = []
+    const missing = {}
+    for (const target of [...stations.map(([station]) => station), name]) {
+      const sub = planCraft(bot.registry.itemsByName[target].id, target === name ? count : 1, inv)
+      steps.push(...sub.steps)
+      addCounts(missing, sub.missing)
+    }
+    plan = { steps, missing }
+  }
+  const smelts = plan.steps.filter(s => s.smelt).reduce((n, s) => n + s.count, 0)
+  // planks and logs the recipes need cannot double as fuel
+  const fuel = fuelCapacity(planInputs(plan.steps))
+  if (smelts && fuel < smelts) plan.missing.fuel = smelts - Math.floor(fuel)
+  const missing = Object.entries(plan.missing)
+  if (missing.length) {
+    const list = missing.map(([n, c]) => `${c} ${n}`).join(', ')
+    console.log(`[craft] ${count} ${name}: missing ${list}`)
+    try { bot.chat(`Cannot craft ${count} ${name}, missing: ${list}`) } catch (e) {}
+    return false
+  }
+  if (!plan.steps.length) return true // already carried
+  console.log(`[craft] ${count} ${name}: ${plan.steps.map(s => `${s.times}x ${s.name}`).join(' -> ')}`)
+  setBusy(true, 'craft')
+  try {
+    for (const [i, step] of plan.steps.entries()) {
+      if (step.smelt) {
+        const made = await smeltItem(step.input, step.count, planInputs(plan.steps.slice(i + 1)))
+        if (made < step.count) return false
+        continue
+      }
+      let table = null
+      if (step.recipe.requiresTable) {
+        table = await ensureWorkbench()
+        if (!table) return false
+        if (bot.entity.position.distanceTo(table.position) > 3.5) await gotoNear(table.position, 2)
+      }
+      await bot.craft(step.recipe, step.times, table)
+    }
+  } catch (e) {
+    console.error('[craft] failed:', e.message || e)
+    try { bot.chat(`Crafting ${name} failed: ${e.message || e}`) } catch (err) {}
+    return false
+  } finally {
+    setBusy(false)
+  }
+  try { bot.chat(`Crafted ${count} ${name}`) } catch (e) {}
+  return true
+}
+
+// --- smelting ---
+// minecraft-data has no furnace recipes or burn times, so the common ones are listed here.
+// output -> inputs (any one of them)
+const SMELTING = {
+  iron_ingot: ['raw_iron', 'iron_ore', 'deepslate_iron_ore'],
+  gold_ingot: ['raw_gold', 'gold_ore', 'deepslate_gold_ore', 'nether_gold_ore'],
+  copper_ingot: ['raw_copper', 'copper_ore', 'deepslate_copper_ore'],
+  netherite_scrap: ['ancient_debris'],
+  cooked_beef: ['beef'],
+  cooked_porkchop: ['porkchop'],
+  cooked_chicken: ['chicken'],
+  cooked_mutton: ['mutton'],
+  cooked_rabbit: ['rabbit'],
+  cooked_cod: ['cod'],
+  cooked_salmon: ['salmon'],
+  baked_potato: ['potato'],
+  dried_kelp: ['kelp'],
+  stone: ['cobblestone'],
+  smooth_stone: ['stone'],
+  deepslate: ['cobbled_deepslate'],
+  glass: ['sand', 'red_sand'],
+  brick: ['clay_ball'],
+  terracotta: ['clay'],
+  green_dye: ['cactus'],
+  charcoal: ['oak_log', 'spruce_log', 'birch_log', 'jungle_log', 'acacia_log', 'dark_oak_log', 'mangrove_log', 'cherry_log']
+}
+// fuel -> items smelted per piece; burn time is 10 s per item. The ones before the wood are not crafting inputs
+// for anything we build, so they are burnt first.
+const FUEL_ITEMS = {
+  lava_bucket: 100,
+  coal_block: 80,
+  dried_kelp_block: 20,
+  blaze_rod: 12,
+  coal: 8,
+  charcoal: 8,
+  oak_log: 1.5, spruce_log: 1.5, birch_log: 1.5, jungle_log: 1.5, acacia_log: 1.5, dark_oak_log: 1.5, mangrove_log: 1.5, cherry_log: 1.5,
+  oak_planks: 1.5, spruce_planks: 1.5, birch_planks: 1.5, jungle_planks: 1.5, acacia_planks: 1.5, dark_oak_planks: 1.5, mangrove_planks: 1.5, cherry_planks: 1.5, bamboo_planks: 1.5,
+  stick: 0.5
+}
+const PURE_FUELS = new Set(['lava_bucket', 'coal_block', 'dried_kelp_block', 'blaze_rod', 'coal', 'charcoal'])
+const SMELT_ITEM_MS = 10000
+const FURNACE_RADIUS = 16
+
+// spareFuel: fuel stacks by name with the reserved amounts (item name -> count) taken off
+function spareFuel(reserve = {}) {
+  const spare = {}
+  for (const it of bot.inventory.items()) if (FUEL_ITEMS[it.name]) spare[it.name] = (spare[it.name] || 0) + it.count
+  for (const [name, n] of Object.entries(reserve)) if (spare[name]) spare[name] = Math.max(0, spare[name] - n)
+  return spare
+}
+
+// fuelCapacity: how many items the spare fuel in the inventory can smelt
+function fuelCapacity(reserve = {}) {
+  return Object.entries(spareFuel(reserve)).reduce((total, [name, n]) => total + FUEL_ITEMS[name] * n, 0)
+}
+
+// chooseFuel: fuel loads for `count` items from the spare fuel; coal and the like before wood, then as little
+// wasted burn time as possible
+function chooseFuel(count, reserve) {
+  const loads = []
+  let left = count
+  const fuels = Object.entries(spareFuel(reserve)).filter(([, n]) => n > 0).map(([name, n]) => ({ name, count: n }))
+  while (left > 0 && fuels.length) {
+    // a fuel that covers the rest with the least waste, or else the longest burning one
+    fuels.sort((a, b) => {
+      const pureA = PURE_FUELS.has(a.name)
+      if (pureA !== PURE_FUELS.has(b.name)) return pureA ? -1 : 1
+      const wasteA = Math.ceil(left / FUEL_ITEMS[a.name]) * FUEL_ITEMS[a.name] - left
+      const wasteB = Math.ceil(left / FUEL_ITEMS[b.name]) * FUEL_ITEMS[b.name] - left
+      const coversA = FUEL_ITEMS[a.name] * a.count >= left
+      const coversB = FUEL_ITEMS[b.name] * b.count >= left
+      if (coversA !== coversB) return coversA ? -1 : 1
+      return coversA ? wasteA - wasteB : FUEL_ITEMS[b.name] - FUEL_ITEMS[a.name]
+    })
+    const fuel = fuels.shift()
+    const pieces = Math.min(fuel.count, Math.ceil(left / FUEL_ITEMS[fuel.name]))
+    loads.push({ item: bot.registry.itemsByName[fuel.name], count: pieces })
+    left -= pieces * FUEL_ITEMS[fuel.name]
+  }
+  return left > 0 ? null : loads
+}
+
+async function ensureFurnace() {
+  const existing = findNearbyBlock(['furnace'], FURNACE_RADIUS)
+  if (existing) return existing
+  if (!findItem('furnace') && !await craftItem('furnace', 1)) return null
+  const placed = await placeNearby('furnace')
+  if (!placed) try { bot.chat('No free spot to put down a furnace') } catch (e) {}
+  return placed
+}
+
+// smeltItem: smelt `count` of an input in batches of at most a stack; returns how many outputs came out.
+// reserve (item name -> count) is kept out of the fuel, e.g. planks a later crafting step still needs.
+async function smeltItem(input, count, reserve = {}) {
+  const src = bot.registry.itemsByName[input]
+  if (!src) { try { bot.chat(`Unknown item: ${input}`) } catch (e) {} ; return 0 }
+  const block = await ensureFurnace()
+  if (!block) return 0
+  if (bot.entity.position.distanceTo(block.position) > 3.5) await gotoNear(block.position, 2)
+  let made = 0
+  let furnace = null
+  setBusy(true, 'smelt')
+  try {
+    furnace = await bot.openFurnace(block)
+    // leftovers from an earlier run would block the slots
+    if (furnace.outputItem()) await furnace.takeOutput()
+    if (furnace.inputItem() && furnace.inputItem().type !== src.id) await furnace.takeInput()
+    while (made < count) {
+      const have = bot.inventory.count(src.id, null)
+      const batch = Math.min(count - made, have, src.stackSize || 64)
+      if (batch <= 0) { try { bot.chat(`Out of ${input} after ${made}/${count}`) } catch (e) {} ; break }
+      const inFurnace = furnace.fuelItem() ? FUEL_ITEMS[furnace.fuelItem().name] * furnace.fuelItem().count || 0 : 0
+      const loads = chooseFuel(Math.max(0, batch - inFurnace), addCounts({ [input]: bot.inventory.count(src.id, null) }, reserve))
+      if (!loads) { try { bot.chat(`Not enough fuel to smelt ${batch} ${input}`) } catch (e) {} ; break }
+      // the fuel slot takes one kind at a time: other kinds wait until it has burnt down
+      const queuedFuel = []
+      const loadFuel = async () => {
+        while (queuedFuel.length && (!furnace.fuelItem() || furnace.fuelItem().type === queuedFuel[0].item.id)) {
+          const load = queuedFuel.shift()
+          await furnace.putFuel(load.item.id, null, load.count)
+        }
+      }
+      queuedFuel.push(...loads)
+      await loadFuel()
+      await furnace.putInput(src.id, null, batch)
+      console.log(`[smelt] ${batch} ${input} loaded, fuel: ${loads.map(l => `${l.count} ${l.item.name}`).join(', ') || 'already in furnace'}`)
+      // wait on the progress events; give up when nothing has come out for a while (fuel ran out, input gone)
+      let out = 0
+      let lastCount = 0
+      let lastChange = now()
+      while (out < batch && now() - lastChange < SMELT_ITEM_MS * 2) {
+        await new Promise(resolve => {
+          const onUpdate = () => { clearTimeout(timer); resolve() }
+          const timer = setTimeout(() => { furnace.removeListener('update', onUpdate); resolve() }, 2000)
+          furnace.once('update', onUpdate)
+        })
+        await loadFuel()
+        const o = furnace.outputItem()
+        const n = o ? o.count : 0
+        if (n !== lastCount) { lastCount = n; lastChange = now() }
+        // collect once the batch is through or the input slot ran empty
+        if (n > 0 && (out + n >= batch || !furnace.inputItem())) { await furnace.takeOutput(); out += n; lastCount = 0 }
+      }
+      made += out
+      if (out < batch) {
+        if (furnace.inputItem()) await furnace.takeInput()
+        try { bot.chat(`Smelting stalled after ${made}/${count}`) } catch (e) {}
+        break
+      }
+    }
+  } catch (e) {
+    console.error('[smelt] failed:', e.message || e)
+    try { bot.chat(`Smelting ${input} failed: ${e.message || e}`) } catch (err) {}
+  } finally {
+    if (furnace) try { furnace.close() } catch (e) {}
+    setBusy(false)
+  }
+  console.log(`[smelt] ${made}/${count} from ${input}`)
+  return made
+}
+
+// smeltTo: smelt by input or output name ("raw_iron" or "iron_ingot"); the input is whichever is carried
+async function smeltTo(name, count = 1) {
+  let input = name
+  let output = Object.keys(SMELTING).find(o => SMELTING[o].includes(name))
+  if (SMELTING[name]) {
+    output = name
+    input = SMELTING[name].find(i => findItem(i)) || SMELTING[name][0]
+  }
+  if (!output) { try { bot.chat(`I don't know how to smelt ${name}`) } catch (e) {} ; return false }
+  const made = await smeltItem(input, count)
+  if (made) try { bot.chat(`Smelted ${made} ${output}`) } catch (e) {}
+  return made >= count
+}
+
+async function ensureWoodPick() {
+  if (findItem('wooden_pickaxe')) return true
+  // from scratch: logs for the planks, sticks and (if none is around) a crafting table
+  const { missing } = planCraft(bot.registry.itemsByName.wooden_pickaxe.id, 1, inventoryById())
+  if (Object.keys(missing).length && !await collectWood(findNearbyBlock(['crafting_table'], CRAFT_TABLE_RADIUS) ? 2 : 3)) return false
+  return await craftItem('wooden_pickaxe', 1)
+}
+
+async function ensureStonePick() {
+  if (findItem('stone_pickaxe')) return true
+  if (countItem(['cobblestone', 'cobbled_deepslate', 'blackstone']) < 3) {
+    // stone only drops cobblestone to a pickaxe
+    if (!await ensureWoodPick()) return false
+    if (!await collectStone(6)) return false
+  }
+  return await craftItem('stone_pickaxe', 1)
+}
+
+// --- tool selection ---
+// Tools are ranked by the block's own dig time (prismarine-block digTime, with enchantments and effects) among the
+// carried items that can harvest it (harvestTools). Tools with TOOL_MIN_USES or fewer uses left are spared.
+const TOOL_MIN_USES = Number(process.env.TOOL_MIN_USES) || 5
+
+function usesLeft(item) {
+  return item && item.maxDurability ? item.maxDurability - (item.durabilityUsed || 0) : Infinity
+}
+
+function digTimeWith(block, item) {
+  let enchants = []
+  try { enchants = item ? item.enchants : [] } catch (e) {}
+  return block.digTime(item ? item.type : null, bot.game.gameMode === 'creative', bot.entity.isInWater, !bot.entity.onGround, enchants, bot.entity.effects)
+}
+
+function harvestToolNames(block) {
+  const ids = block.harvestTools ? Object.keys(block.harvestTools) : []
+  return ids.map(id => bot.registry.items[id]?.name).filter(Boolean).join(' or ') || 'a tool'
+}
+
+// bestToolFor: { item, time } with item null for the bare hand; null if nothing carried can harvest the block
+function bestToolFor(block) {
+  const seen = new Set()
+  let best = block.canHarvest(null) ? { item: null, time: digTimeWith(block, null) } : null
+  for (const item of bot.inventory.items()) {
+    // only items that wear out change dig speed; one candidate per type, the most worn one still above the limit
+    if (!item.maxDurability || usesLeft(item) <= TOOL_MIN_USES || !block.canHarvest(item.type)) continue
+    const key = item.type
+    if (seen.has(key)) continue
+    const same = bot.inventory.items().filter(i => i.type === key && usesLeft(i) > TOOL_MIN_USES)
+    const pick = same.sort((a, b) => usesLeft(a) - usesLeft(b))[0]
+    seen.add(key)
+    const time = digTimeWith(block, pick)
+    // ties go to the hand or the tool already in the list: no point wearing out a better one
+    if (!best || time < best.time) best = { item: pick, time }
+  }
+  return best
+}
+
+// equipBestTool: hold the best tool for the block (or empty the hand); false if the block cannot be harvested
+async function equipBestTool(block) {
+  const best = bestToolFor(block)
+  if (!best) return false
+  if (best.item) await bot.equip(best.item, 'hand')
+  else if (bot.heldItem && bot.heldItem.maxDurability) await bot.unequip('hand')
+  console.log(`[tools] ${block.name}: ${best.item ? best.item.name : 'hand'} (${best.time} ms)`)
+  return true
+}
+
+// --- durability ---
+// Worn tools are noticed from inventory slot updates (durabilityUsed). At TOOL_WARN_PERCENT uses left the bot warns
+// once and queues a replacement, which betweenSteps() crafts in the same tier or the best one it has materials for.
+// "repair <tool>" combines the tool with its repair material at a nearby anvil instead.
+const TOOL_WARN_PERCENT = Number(process.env.TOOL_WARN_PERCENT) || 10
+const TOOL_REPAIR_FIRST = process.env.TOOL_REPAIR_FIRST === '1'
+const TOOL_KINDS = ['pickaxe', 'axe', 'shovel', 'hoe', 'sword']
+const TOOL_TIERS = ['diamond', 'iron', 'stone', 'wooden', 'golden'] // craftable tiers, best first; netherite needs smithing
+const toolWarned = new Set() // item names warned about since they were last healthy
+const toolReplacements = new Set() // tool names waiting for a replacement
+
+function toolKind(name) {
+  return TOOL_KINDS.find(k => name.endsWith(`_${k}`)) || null
+}
+
+function isWorn(item) {
+  return !!item && !!item.maxDurability && usesLeft(item) <= Math.max(TOOL_MIN_USES, item.maxDurability * TOOL_WARN_PERCENT / 100)
+}
+
+// bot.inventory only exists after inject_allowed, so hook it once the first session is up
+function watchToolWear(slot, oldItem, newItem) {
+  if (!newItem || !newItem.maxDurability || !oldItem || oldItem.type !== newItem.type) return
+  if (!isWorn(newItem)) { toolWarned.delete(newItem.name); return }
+  if (toolWarned.has(newItem.name) || (newItem.durabilityUsed || 0) <= (oldItem.durabilityUsed || 0)) return
+  toolWarned.add(newItem.name)
+  console.log(`[durability] ${newItem.name} at ${usesLeft(newItem)}/${newItem.maxDurability}`)
+  try { bot.chat(`My ${newItem.name} is almost broken (${usesLeft(newItem)}/${newItem.maxDurability} uses left)`) } catch (e) {}
+  if (toolKind(newItem.name)) toolReplacements.add(newItem.name)
+}
+
+bot.once('inject_allowed', () => bot.inventory.on('updateSlot', watchToolWear))
+
+// hasSpareTool: another tool of the same kind that still has plenty of uses
+function hasSpareTool(kind) {
+  return bot.inventory.items().some(i => toolKind(i.name) === kind && !isWorn(i))
+}
+
+// replaceTool: craft a new tool of the same kind, same tier first, then the best tier the materials allow
+async function replaceTool(name) {
+  const kind = toolKind(name)
+  if (!kind || hasSpareTool(kind)) return true
+  if (TOOL_REPAIR_FIRST && await repairTool(name, { quiet: true })) return true
+  const tier = name.slice(0, -kind.length - 1)
+  const tiers = [tier, ...TOOL_TIERS.filter(t => t !== tier)]
+  for (const t of tiers) {
+    const target = bot.registry.itemsByName[`${t}_${kind}`]
+    if (!target) continue
+    // dry run: only start crafting a tier whose raw materials are all carried
+    if (Object.keys(planCraft(target.id, 1, inventoryById()).missing).length) continue
+    console.log(`[durability] replacing ${name} with ${target.name}`)
+    if (await craftItem(target.name, 1)) return true
+  }
+  try { bot.chat(`No materials for a new ${kind}`) } catch (e) {}
+  return false
+}
+
+// repairTool: combine the most worn tool of that name with its repair material at an anvil within reach of a walk
+async function repairTool(name, { quiet = false } = {}) {
+  const say = (m) => { if (!quiet) try { bot.chat(m) } catch (e) {} }
+  const tool = bot.inventory.items().filter(i => i.name === name && i.maxDurability).sort((a, b) => usesLeft(a) - usesLeft(b))[0]
+  if (!tool) { say(`I have no ${name}`); return false }
+  if (!tool.durabilityUsed) { say(`My ${name} is not damaged`); return false }
+  const materials = bot.registry.itemsByName[name].repairWith || []
+  const material = bot.inventory.items().find(i => materials.includes(i.name))
+  if (!material) { say(`Need ${materials[0] || 'a second ' + name} to repair ${name}`); return false }
+  const anvilBlock = findNearbyBlock(['anvil', 'chipped_anvil', 'damaged_anvil'], CRAFT_TABLE_RADIUS)
+  if (!anvilBlock) { say('No anvil nearby'); return false }
+  if (bot.entity.position.distanceTo(anvilBlock.position) > 3.5) await gotoNear(anvilBlock.position, 2)
+  let anvil = null
+  setBusy(true, 'repair')
+  try {
+    anvil = await bot.openAnvil(anvilBlock)
+    // the anvil only takes the pieces it needs (a quarter of the durability each); the rest comes back on close
+    const before = countItem([material.name])
+    await anvil.combine(tool, material)
+    anvil.close()
+    anvil = null
+    await sleep(250)
+    say(`Repaired ${name} with ${before - countItem([material.name])} ${material.name}`)
+    return true
+  } catch (e) {
+    console.error('[durability] repair failed:', e.message || e)
+    say(`Repair failed: ${e.message || e}`)
+    return false
+  } finally {
+    if (anvil) try { anvil.close() } catch (e) {}
+    setBusy(false)
+  }
+}
+
+// betweenSteps: upkeep that must not interrupt a dig or a walk — eating, replacing worn tools, tidying the inventory
+async function betweenSteps() {
+  await eatIfHungry()
+  if (inventoryDirty) await organizeInventory()
+  for (const name of [...toolReplacements]) {
+    toolReplacements.delete(name)
+    try { await replaceTool(name) } catch (e) { console.error('[durability] replacement failed:', e) }
+  }
+}
+
+// --- gathering ---
+// gather jobs: mine the nearest known blocks that drop an item until the count or the time limit is reached. Blocks
+// outside GATHER_RADIUS or near a protected waypoint (PROTECTED_WAYPOINTS, "name:radius,...") are never touched.
+const GATHER_RADIUS = Number(process.env.GATHER_RADIUS) || 32
+const GATHER_MAX_MS = Number(process.env.GATHER_MAX_MS) || 5 * 60000
+const GATHER_REPORT_EVERY = Number(process.env.GATHER_REPORT_EVERY) || 8
+const PROTECTED_WAYPOINTS = (process.env.PROTECTED_WAYPOINTS || 'home:12').split(',').map(e => e.trim().split(':')).filter(([n]) => n).map(([name, r]) => ({ name: name.toLowerCase(), radius: Number(r) || 12 }))
+const GATHER_ALIASES = { wood: 'log', logs: 'log', stone: 'cobblestone', cobble: 'cobblestone', iron: 'raw_iron', gold: 'raw_gold', copper: 'raw_copper' }
+let gatherJob = null // { item, target, got, cancelled }
+
+function isProtectedPosition(pos) {
+  return PROTECTED_WAYPOINTS.some(({ name, radius }) => {
+    const wp = getLandmark(name)
+    return wp && wp.position.distanceTo(pos) <= radius
+  })
+}
+
+// gatherSources: block names that drop the item, and the item names that count towards the job
+function gatherSources(item) {
+  const blocks = bot.registry.blocksArray
+  if (item === 'log') {
+    const logs = blocks.filter(b => /_(log|stem)$/.test(b.name) && !b.name.startsWith('stripped_')).map(b => b.name)
+    return { blocks: logs, counts: logs }
+  }
+  const id = bot.registry.itemsByName[item]?.id
+  const sources = blocks.filter(b => (id !== undefined && (b.drops || []).includes(id)))
+  const own = bot.registry.blocksByName[item]
+  // "stone" and other blocks that drop something else still count by what they drop
+  if (own && !sources.includes(own)) sources.push(own)
+  const counts = new Set([item])
+  for (const b of sources) for (const d of b.drops || []) if (bot.registry.items[d]) counts.add(bot.registry.items[d].name)
+  return { blocks: sources.map(b => b.name), counts: [...counts] }
+}
+
+async function gather(itemName, count = 8) {
+  const item = GATHER_ALIASES[itemName] || itemName
+  const { blocks, counts } = gatherSources(item)
+  if (!blocks.length) { try { bot.chat(`I don't know where ${itemName} comes from`) } catch (e) {} ; return false }
+  if (gatherJob) { try { bot.chat(`Already gathering ${gatherJob.item}`) } catch (e) {} ; return false }
+  const job = { item, target: count, got: 0, cancelled: false }
+  gatherJob = job
+  const deadline = now() + GATHER_MAX_MS
+  // the time limit also ends a walk or dig that is still going on
+  const limitTimer = setTimeout(() => { if (gatherJob === job) haltGather() }, GATHER_MAX_MS)
+  const release = reserveItems([...counts, ...blocks])
+  const startCount = countItem(counts)
+  const started = now()
+  // the safety radius is measured from where the job started, not from wherever the last block took us
+  const origin = bot.entity.position.clone()
+  const skipped = new Set()
+  let reported = 0
+  let reason = 'done'
+  setBusy(true, 'gather')
+  try { bot.chat(`Gathering ${count} ${item}`) } catch (e) {}
+  try {
+    while (job.got < count) {
+      if (job.cancelled) { reason = 'cancelled'; break }
+      if (now() >= deadline) { reason = 'time limit reached'; break }
+      await defenseIdle()
+      await betweenSteps()
+      const block = findNearestBlocks(blocks, GATHER_RADIUS * 2, 64)
+        .find(b => !skipped.has(posKey(b.position)) && !isProtectedPosition(b.position) && origin.distanceTo(b.position) <= GATHER_RADIUS)
+      if (!block) { reason = `no more ${item} within ${GATHER_RADIUS} blocks`; break }
+      const key = posKey(block.position)
+      // a block is only given up on for a real failure, not when a defense, stop or the time limit cut in
+      const interrupts = defenseInterrupts
+      const interrupted = () => job.cancelled || now() >= deadline || defenseInterrupts !== interrupts
+      if (bot.entity.position.distanceTo(block.position) > 4 && !await gotoNear(block.position, 2, deadline - now())) {
+        if (!interrupted()) skipped.add(key)
+        continue
+      }
+      const fresh = bot.blockAt(block.position)
+      if (!fresh || !blocks.includes(fresh.name)) { skipped.add(key); continue }
+      if (!bot.canDigBlock(fresh)) { if (!interrupted()) skipped.add(key); continue }
+      if (!await equipBestTool(fresh)) {
+        reason = `I need ${harvestToolNames(fresh)} for ${fresh.name}`
+        break
+      }
+      if (!await safeDig(fresh) && !interrupted()) skipped.add(key)
+      job.got = countItem(counts) - startCount
+      if (job.got - reported >= GATHER_REPORT_EVERY && job.got < count) {
+        reported = job.got
+        try { bot.chat(`Gathering ${item}: ${job.got}/${count}`) } catch (e) {}
+      }
+    }
+  } finally {
+    clearTimeout(limitTimer)
+    gatherJob = null
+    release()
+    setBusy(false)
+  }
+  const secs = Math.round((now() - started) / 1000)
+  console.log(`[gather] ${item} ${job.got}/${count} in ${secs}s: ${reason}`)
+  try { bot.chat(`Gathered ${Math.max(0, job.got)}/${count} ${item} (${reason})`) } catch (e) {}
+  return job.got >= count
+}
+
+// haltGather: stop the gather job's current walk or dig at once
+function haltGather() {
+  try { bot.pathfinder.stop() } catch (e) {}
+  try { bot.stopDigging() } catch (e) {}
+}
+
+// cancelGather: "stop" in chat; the job ends as soon as the walk or dig in progress has been halted
+function cancelGather() {
+  if (!gatherJob) return
+  gatherJob.cancelled = true
+  haltGather()
+}
+
+async function collectWood(target = 8) {
+  return await gather('log', target)
+}
+
+async function collectStone(target = 12) {
+  return await gather('cobblestone', target)
+}
+
+async function pipelineEarly() {
+  // High-level pipeline handler: ask the planner to produce a micro-action plan for the pipeline
+  try { bot.chat('Received pipeline request — generating detailed micro plan...') } catch (e) {}
+  const inst = 'Decompose a high-level startup pipeline into up to 10 micro-steps using only inspect/goto/dig with numeric x,y,z coords within 10 blocks. Example JSON: {"plan":{"steps":[{"name":"inspect","params":{"x":..,"y":..,"z":..},"rationale":"..."}]}}. Keep rationales short.'
+  const plan = await requestPlanFromLLM(inst)
+  if (plan && Array.isArray(plan.steps) && plan.steps.length) {
+    try { await executePlan(plan.steps) } catch (e) { console.error('executePlan failed for pipelineEarly:', e) }
+    return true
+  }
+  try { bot.chat('Could not generate micro-plan for pipelineEarly') } catch (e) {}
+  return false
+}
+
+async function wanderSlightly() {
+  const p = bot.entity.position.floored()
+  const dx = (Math.random() < 0.5 ? -1 : 1) * (3 + Math.floor(Math.random() * 6))
+  const dz = (Math.random() < 0.5 ? -1 : 1) * (3 + Math.floor(Math.random() * 6))
+  const tgt = new Vec3(p.x + dx, p.y, p.z + dz)
+  bot.pathfinder.setGoal(new GoalNear(tgt.x, tgt.y, tgt.z, 1))
+}
+
+async function gotoPlayer(username) {
+  const t = bot.players[username]?.entity
+  if (!t) return false
+  return await gotoNear(t.position, 1)
+}
+
+async function plannerTick() {
+  // a tick still waiting on the LLM must not be joined by another one
+  if (plannerInFlight) return
+  plannerInFlight = true
+  try {
+    if (!running || busy || defense || blastEvasion || bedtime) return
+    // LLM unreachable: keep doing something simple instead of queueing calls that will fail
+    if (llmBreaker.isOpen()) { await wanderSlightly(); return }
+    // ask LLM for a short micro-action plan (inspect/goto/dig) with coords within 10 blocks
+    const inst = 'Autonomous planner: produce a concise plan with a sequence of micro-steps (inspect/goto/dig). Each step must include numeric x,y,z coordinates and be within 10 blocks of the bot. Limit to at most 8 steps. For each step include a short rationale.'
+    // when streaming, steps start running while the model is still writing the rest of the plan
+    const queue = createStepQueue(executePlanStep)
+    const plan = await requestPlanFromLLM(inst, { onStep: s => queue.push(s) })
+    if (await queue.finish()) return
+    if (plan && Array.isArray(plan.steps) && plan.steps.length) {
+      try { await executePlan(plan.steps) } catch (e) { console.error('executePlan failed:', e) }
+      return
+    }
+    // fallback small wander
+    await wanderSlightly()
+  } catch (e) {
+    console.error('plannerTick exception:', e)
+  } finally {
+    plannerInFlight = false
+  }
+}
+
+// non-LLM handling of free chat while the LLM is offline: a few keywords, otherwise point at the plain commands
+async function offlineChatFallback(username, message) {
+  const msg = String(message).trim().toLowerCase()
+  if (/\b(come|follow|here)\b/.test(msg)) return await gotoPlayer(username)
+  try { bot.chat('LLM offline. Available: goto/dig/inspect x y z, command <cmd>, come, status, start/stop') } catch (e) {}
+  return false
+}
+
+// --- combat gear ---
+// best-first melee weapons; swords before axes of the same tier because they recover faster between hits
+const WEAPON_RANK = ['netherite_sword', 'diamond_sword', 'netherite_axe', 'iron_sword', 'diamond_axe', 'stone_sword', 'iron_axe', 'golden_sword', 'wooden_sword', 'stone_axe', 'golden_axe', 'wooden_axe']
+const ARMOR_TIERS = ['netherite', 'diamond', 'iron', 'chainmail', 'turtle', 'golden', 'leather']
+const ARMOR_SLOTS = { head: 'helmet', torso: 'chestplate', legs: 'leggings', feet: 'boots' }
+
+async function equipBestWeapon() {
+  for (const name of WEAPON_RANK) {
+    const it = findItem(name)
+    if (it) { try { await bot.equip(it, 'hand'); return it } catch (e) {} }
+  }
+  return null
+}
+
+// equipBestArmor: wear the best piece available for every armor slot; returns the names now worn
+async function equipBestArmor() {
+  const worn = []
+  for (const [dest, piece] of Object.entries(ARMOR_SLOTS)) {
+    for (const tier of ARMOR_TIERS) {
+      // turtle only exists as a helmet ("turtle_helmet"); other combinations are simply not in the inventory
+      const it = findItem(`${tier}_${piece}`)
+      if (!it) continue
+      try { await bot.equip(it, dest); worn.push(it.name) } catch (e) {}
+      break
+    }
+  }
+  return worn
+}
+
+async function equipShield() {
+  const offhand = bot.inventory.slots[45]
+  if (offhand && offhand.name === 'shield') return true
+  const shield = findItem('shield')
+  if (!shield) return false
+  try { await bot.equip(shield, 'off-hand'); return true } catch (e) { return false }
+}
+
+// attackCooldownMs: time until a full-strength hit, from the vanilla attack speeds (1.9+ combat)
+function attackCooldownMs(item) {
+  if (!item) return 250
+  if (item.name.endsWith('_sword')) return 625
+  if (item.name.endsWith('_axe')) return item.name.startsWith('wooden') || item.name.startsWith('stone') ? 1250 : item.name.startsWith('iron') ? 1110 : 1000
+  return 250
+}
+
+// --- duel mode ---
+const DUEL_DIFFICULTIES = {
+  easy: { reach: 2.6, missChance: 0.35, reactionMs: 450, strafe: false, shieldChance: 0, critJumps: false },
+  normal: { reach: 3.0, missChance: 0.15, reactionMs: 250, strafe: true, shieldChance: 0.5, critJumps: false },
+  hard: { reach: 3.2, missChance: 0.03, reactionMs: 80, strafe: true, shieldChance: 0.9, critJumps: true }
+}
+const DUEL_DEFAULT_DIFFICULTY = DUEL_DIFFICULTIES[process.env.DUEL_DIFFICULTY] ? process.env.DUEL_DIFFICULTY : 'normal'
+const DUEL_ARENA_RADIUS = Number(process.env.DUEL_ARENA_RADIUS) || 16
+const DUEL_MAX_MS = Number(process.env.DUEL_MAX_MS) || 180000
+const duelScores = new Map() // lowercase player name -> { bot, player }
+let duelState = null // { username, difficulty, cfg, center, pending, startedAt, lastAttack, cooldownMs, strafeLeft, strafeUntil, blockingUntil }
+
+async function startDuelWith(username, difficulty = DUEL_DEFAULT_DIFFICULTY) {
+  if (duelState) { try { bot.chat(`Already dueling ${duelState.username}`) } catch (e) {} ; return false }
+  const target = findPlayerEntity(username)
+  if (!target) { try { bot.chat(`I cannot see ${username}`) } catch (e) {} ; return false }
+  const level = DUEL_DIFFICULTIES[difficulty] ? difficulty : DUEL_DEFAULT_DIFFICULTY
+  const name = target.username || username
+  const center = bot.entity.position.plus(target.position).scaled(0.5)
+  // claimed before the countdown: a second "duel me" is refused and "forfeit"/"stopduel" can cancel it
+  const st = { username: name, difficulty: level, cfg: DUEL_DIFFICULTIES[level], center, pending: true, startedAt: now() }
+  duelState = st
+  setBusy(true, 'duel')
+  await stopMovement()
+  try { bot.chat(`Duel vs ${name} (${level}). Arena: ${DUEL_ARENA_RADIUS} blocks around ${posKey(center.floored())}. Say forfeit to give up.`) } catch (e) {}
+
+  const weapon = await equipBestWeapon()
+  const armor = await equipBestArmor()
+  const shield = await equipShield()
+  console.log('[duel] gear:', weapon && weapon.name, armor, 'shield:', shield)
+
+  for (const n of [3, 2, 1]) {
+    if (duelState !== st) return false // cancelled during the countdown
+    try { bot.chat(`${n}...`) } catch (e) {}
+    await sleep(1000)
+  }
+  if (duelState !== st) return false
+  if (!target.isValid) { endDuel(null, `${name} is gone`); return false }
+  try { bot.chat('Fight!') } catch (e) {}
+
+  duelTarget = target
+  Object.assign(st, {
+    pending: false,
+    startedAt: now(),
+    lastAttack: 0,
+    cooldownMs: attackCooldownMs(bot.heldItem),
+    strafeLeft: Math.random() < 0.5,
+    strafeUntil: 0,
+    blockingUntil: 0
+  })
+  duelInterval = setInterval(() => { try { duelTick() } catch (e) { console.error('[duel] tick failed:', e) } }, 50)
+  return true
+}
+
+function duelTick() {
+  const st = duelState
+  const target = duelTarget
+  if (!st || st.pending || !target) return
+  const t = now()
+  if (t - st.startedAt > DUEL_MAX_MS) return endDuel('draw', 'time is up')
+  if (target.position.distanceTo(st.center) > DUEL_ARENA_RADIUS) return endDuel('win', `${st.username} left the arena`)
+
+  const me = bot.entity.position
+  const dist = me.distanceTo(target.position)
+  bot.clearControlStates()
+
+  // drifting out of the arena: walk back towards the middle before anything else
+  if (me.distanceTo(st.center) > DUEL_ARENA_RADIUS - 2) {
+    bot.lookAt(st.center.offset(0, 1.6, 0), true).catch(() => {})
+    bot.setControlState('forward', true)
+    return
+  }
+
+  bot.lookAt(target.position.offset(0, target.height * 0.85, 0), true).catch(() => {})
+  if (t < st.blockingUntil) return // holding the shield up
+  if (st.blockingUntil) { bot.deactivateItem(); st.blockingUntil = 0 }
+
+  if (dist > st.cfg.reach) {
+    bot.setControlState('forward', true)
+    bot.setControlState('sprint', dist > st.cfg.reach + 2)
+  } else if (st.cfg.strafe) {
+    // circle the opponent, switching direction now and then so the movement is hard to predict
+    if (t > st.strafeUntil) { st.strafeLeft = !st.strafeLeft; st.strafeUntil = t + 600 + Math.random() * 900 }
+    bot.setControlState(st.strafeLeft ? 'left' : 'right', true)
+  }
+
+  const ready = t - st.lastAttack >= st.cooldownMs + st.cfg.reactionMs * Math.random()
+  if (dist <= st.cfg.reach && ready) {
+    if (Math.random() < st.cfg.missChance) bot.swingArm()
+    else bot.attack(target)
+    st.lastAttack = t
+    // jumping right after a hit makes the next one land while falling: a critical hit
+    if (st.cfg.critJumps && bot.entity.onGround) bot.setControlState('jump', true)
+  }
+}
+
+// endDuel: outcome is from the bot's side — 'win', 'loss' or 'draw' (null: cancelled, no score)
+function endDuel(outcome, reason) {
+  const st = duelState
+  if (!st) return
+  if (duelInterval) { clearInterval(duelInterval); duelInterval = null }
+  duelTarget = null
+  duelState = null
+  try { bot.deactivateItem() } catch (e) {}
+  bot.clearControlStates()
+  setBusy(false)
+  if (st.pending) outcome = null // nothing was fought yet
+  if (!outcome) { try { bot.chat(`Duel with ${st.username} cancelled${reason ? ': ' + reason : ''}`) } catch (e) {} ; return }
+  const key = st.username.toLowerCase()
+  const score = duelScores.get(key) || { bot: 0, player: 0 }
+  if (outcome === 'win') score.bot++
+  if (outcome === 'loss') score.player++
+  duelScores.set(key, score)
+  const headline = outcome === 'win' ? 'I win' : outcome === 'loss' ? `${st.username} wins` : 'Draw'
+  const secs = Math.round((now() - st.startedAt) / 1000)
+  console.log(`[duel] ${outcome} vs ${st.username} after ${secs}s: ${reason}`)
+  try { bot.chat(`${headline}! (${reason}, ${secs}s) Score vs ${st.username}: me ${score.bot} - ${score.player} ${st.username}`) } catch (e) {}
+}
+
+// stopDuel: chat "forfeit" from the opponent counts as their loss; any other stop just cancels
+async function stopDuel(username = null, forfeit = false) {
+  if (!duelState) { try { bot.chat('No duel running') } catch (e) {} ; return false }
+  const byOpponent = username && username.toLowerCase() === duelState.username.toLowerCase()
+  if (duelState.pending) endDuel(null, username ? `called off by ${username}` : null)
+  else if (forfeit && byOpponent) endDuel('win', `${duelState.username} forfeits`)
+  else endDuel(null, username ? `stopped by ${username}` : null)
+  return true
+}
+
+bot.on('entitySwingArm', (entity) => {
+  const st = duelState
+  if (!st || entity !== duelTarget || !st.cfg.shieldChance) return
+  const offhand = bot.inventory.slots[45]
+  if (!offhand || offhand.name !== 'shield') return
+  // raise the shield against a swing we cannot answer yet (our own attack is still recharging)
+  if (now() - st.lastAttack < st.cooldownMs * 0.6 && Math.random() < st.cfg.shieldChance) {
+    bot.activateItem(true)
+    st.blockingUntil = now() + 500
+  }
+})
+
+bot.on('entityDead', (entity) => {
+  if (duelState && entity === duelTarget) endDuel('win', `${duelState.username} died`)
+})
+
+bot.on('entityGone', (entity) => {
+  if (duelState && entity === duelTarget) endDuel('win', `${duelState.username} left`)
+})
+
+bot.on('death', () => {
+  if (duelState) endDuel('loss', 'I died')
+})
+
+// --- self-defense ---
+// Hostile mobs within DEFENSE_RADIUS (or whatever just hurt us) interrupt the current task. The bot fights with its
+// best weapon, or runs when health is at or below DEFENSE_FLEE_HEALTH; the interrupted micro-action is then retried.
+// Neutral mobs are left alone until they hurt us, and the bot only picks a fight itself with mobs it can see.
+const DEFENSE_ENABLED = process.env.DEFENSE !== '0'
+const DEFENSE_RADIUS = Number(process.env.DEFENSE_RADIUS) || 8
+const DEFENSE_FLEE_HEALTH = Number(process.env.DEFENSE_FLEE_HEALTH) || 6
+const DEFENSE_REACH = 3
+const DEFENSE_MAX_MS = 60000
+let defense = null // { target, mode: 'fight'|'flee', startedAt, lastAttack, cooldownMs, interval }
+let defenseInterrupts = 0
+// listed as hostile, but they only attack when provoked (spiders only in the dark)
+const NEUTRAL_MOBS = new Set(['enderman', 'zombified_piglin', 'piglin', 'spider', 'cave_spider'])
+const provokedBy = new Set() // ids of neutral mobs that have hurt us
+
+function isHostile(entity) {
+  // entity.type is only 'hostile' from 1.19 on (older data says 'mob'); the registry category works on every version
+  if (!entity || entity.isValid === false || !entity.name) return false
+  if (bot.registry.entitiesByName[entity.name]?.category !== 'Hostile mobs') return false
+  return !NEUTRAL_MOBS.has(entity.name) || provokedBy.has(entity.id)
+}
+
+// canSee: nothing solid between our eyes and the entity's upper body
+function canSee(entity) {
+  const eye = bot.entity.position.offset(0, bot.entity.eyeHeight || 1.62, 0)
+  const dir = entity.position.offset(0, entity.height * 0.85, 0).minus(eye)
+  const dist = dir.norm()
+  if (dist === 0) return true
+  return !bot.world.raycast(eye, dir.normalize(), dist)
+}
+
+function nearestHostile(radius = DEFENSE_RADIUS, needSight = false) {
+  const me = bot.entity.position
+  let best = null
+  let bestDist = radius
+  for (const e of Object.values(bot.entities)) {
+    if (!isHostile(e) || blastThreats.has(e.id)) continue
+    if (needSight && !canSee(e)) continue
+    const d = e.position.distanceTo(me)
+    if (d <= bestDist) { best = e; bestDist = d }
+  }
+  return best
+}
+
+async function startDefense(target, reason) {
+  if (!DEFENSE_ENABLED || duelState || !target || blastEvasion || blastThreats.has(target.id)) return
+  if (defense) { if (defense.target !== target && !defense.target.isValid) defense.target = target; return }
+  const mode = bot.health <= DEFENSE_FLEE_HEALTH ? 'flee' : 'fight'
+  defense = { target, mode, startedAt: now(), lastAttack: 0, cooldownMs: 250, interval: null, chasing: false }
+  defenseInterrupts++
+  console.log(`[defense] ${mode} ${target.name} (${reason}), interrupting ${currentTask || 'idle'}`)
+  try { bot.stopDigging() } catch (e) {}
+  // drop the task's goal right away: a deferred stop() would also cancel the chase or flee goal set after it
+  try { bot.pathfinder.setGoal(null) } catch (e) {}
+  try { bot.chat(mode === 'flee' ? `Low health, running from ${target.displayName || target.name}!` : `Defending against ${target.displayName || target.name}`) } catch (e) {}
+  if (mode === 'fight') {
+    const weapon = await equipBestWeapon()
+    if (defense) defense.cooldownMs = attackCooldownMs(weapon)
+  } else {
+    fleeFrom(target)
+  }
+  if (defense && !defense.interval) defense.interval = setInterval(() => { try { defenseTick() } catch (e) { console.error('[defense] tick failed:', e) } }, 100)
+}
+
+function fleeFrom(target) {
+  bot.clearControlStates()
+  try { bot.pathfinder.setGoal(new GoalInvert(new GoalFollow(target, DEFENSE_RADIUS * 2)), true) } catch (e) {}
+}
+
+function defenseTick() {
+  const d = defense
+  if (!d) return
+  const target = d.target
+  const dist = target.isValid ? target.position.distanceTo(bot.entity.position) : Infinity
+  if (!target.isValid || dist > DEFENSE_RADIUS * 2) {
+    // the one we were after is gone; pick up the next threat, if any, before handing control back
+    const next = nearestHostile(DEFENSE_RADIUS, true)
+    if (next) { d.target = next; d.chasing = false; return }
+    return endDefense(d.mode === 'flee' ? 'escaped' : 'threat gone')
+  }
+  if (now() - d.startedAt > DEFENSE_MAX_MS) return endDefense('giving up')
+  if (d.mode === 'fight' && bot.health <= DEFENSE_FLEE_HEALTH) {
+    d.mode = 'flee'
+    console.log('[defense] health low, switching to flee')
+    fleeFrom(target)
+    return
+  }
+  if (d.mode === 'flee') return
+
+  // out of reach or behind a wall: let the pathfinder find a way to it instead of walking blindly forward
+  const inReach = dist <= DEFENSE_REACH && canSee(target)
+  if (!inReach) {
+    if (!d.chasing) {
+      d.chasing = true
+      try { bot.pathfinder.setGoal(new GoalFollow(target, DEFENSE_REACH - 1), true) } catch (e) {}
+    }
+    return
+  }
+  if (d.chasing) {
+    d.chasing = false
+    try { bot.pathfinder.setGoal(null) } catch (e) {}
+  }
+  bot.lookAt(target.position.offset(0, target.height * 0.85, 0), true).catch(() => {})
+  if (now() - d.lastAttack >= d.cooldownMs) {
+    bot.attack(target)
+    d.lastAttack = now()
+  }
+}
+
+// endDefense: stopPath=false when a new goal follows at once (a pending stop would cancel that goal too)
+function endDefense(reason, stopPath = true) {
+  const d = defense
+  if (!d) return
+  clearInterval(d.interval)
+  defense = null
+  bot.clearControlStates()
+  if (stopPath) try { bot.pathfinder.stop() } catch (e) {}
+  const secs = Math.round((now() - d.startedAt) / 1000)
+  console.log(`[defense] done after ${secs}s: ${reason} (health ${bot.health})`)
+  try { bot.chat(`Threat handled: ${reason}`) } catch (e) {}
+}
+
+// defenseIdle: wait until no fight, flight, blast evasion, night's sleep or surfacing is in progress
+async function defenseIdle() {
+  while (defense || blastEvasion || bedtime || surfacing) await sleep(200)
+}
+
+// resumeAfterDefense: run fn, and run it again (a few times at most) if a defense interrupted it part way
+async function resumeAfterDefense(label, fn, attempts = 3) {
+  let result = false
+  for (let i = 0; i < attempts; i++) {
+    await defenseIdle()
+    const before = defenseInterrupts
+    result = await fn()
+    if (defenseInterrupts === before) return result
+    console.log(`[defense] resuming interrupted ${label}`)
+  }
+  return result
+}
+
+bot.on('entityHurt', (entity, source) => {
+  if (entity !== bot.entity) return
+  if (source && NEUTRAL_MOBS.has(source.name)) provokedBy.add(source.id)
+  if (isHostile(source)) return startDefense(source, 'attacked')
+  if (source && source.type === 'player') console.log(`[defense] hurt by player ${source.username}`)
+})
+
+bot.on('health', () => {
+  const prev = lastHealth
+  lastHealth = bot.health
+  if (prev === null || bot.health >= prev) return
+  // older servers send no damage source: blame the closest hostile
+  if (!defense) return startDefense(nearestHostile(), `lost ${(prev - bot.health).toFixed(1)} health`)
+  if (defense.mode === 'fight' && bot.health <= DEFENSE_FLEE_HEALTH) defenseTick()
+})
+
+bot.on('entityGone', (entity) => { provokedBy.delete(entity.id) })
+
+setInterval(() => {
+  if (!bot.entity || defense || duelState) return
+  const threat = nearestHostile(DEFENSE_RADIUS, true)
+  if (threat) startDefense(threat, `within ${DEFENSE_RADIUS} blocks`)
+}, 500)
+
+// --- explosion avoidance ---
+// Fused creepers and primed TNT are tracked from entity metadata. Every tick the expected damage at our position is
+// estimated with bot.getExplosionDamages; above BLAST_SAFE_DAMAGE the bot runs out of range, and if the fuse is about
+// to run out with the blast still in reach it walls itself off with blocks from the inventory.
+const BLAST_SAFE_DAMAGE = process.env.BLAST_SAFE_DAMAGE !== undefined ? Number(process.env.BLAST_SAFE_DAMAGE) : 2
+const BLAST_SOURCES = { creeper: { power: 3, fuseMs: 1500 }, tnt: { power: 4, fuseMs: 4000 } }
+const WALL_BLOCKS = ['cobblestone', 'cobbled_deepslate', 'dirt', 'stone', 'netherrack', 'andesite', 'diorite', 'granite', 'oak_planks', 'spruce_planks', 'birch_planks']
+const blastThreats = new Map() // entity id -> { entity, power, fusedAt, fuseMs, worstDamage, walled }
+let blastEvasion = null // { threatId, startedAt }
+
+// minecraft-data only has metadataKeys from 1.19.4 on; before that the creeper's swell_dir, is_powered and is_ignited
+// sit in three consecutive slots starting here
+const CREEPER_META_KEYS = ['swell_dir', 'is_powered', 'is_ignited']
+const CREEPER_META_START = [['1.17', 16], ['1.15', 15], ['1.14', 14], ['1.10', 12], ['1.9', 11]]
+const BLAST_CREEPER_NEAR = 3 // without usable metadata, a creeper this close is treated as fused
+
+function creeperMetaStart() {
+  const hit = CREEPER_META_START.find(([v]) => bot.registry.version['>='](v))
+  return hit ? hit[1] : null
+}
+
+function entityMeta(entity, key) {
+  if (!entity.metadata) return undefined
+  const keys = bot.registry.entitiesByName[entity.name]?.metadataKeys
+  if (keys) {
+    const i = keys.indexOf(key)
+    return i >= 0 ? entity.metadata[i] : undefined
+  }
+  const start = entity.name === 'creeper' && CREEPER_META_KEYS.includes(key) ? creeperMetaStart() : null
+  return start !== null ? entity.metadata[start + CREEPER_META_KEYS.indexOf(key)] : undefined
+}
+
+function expectedBlastDamage(pos, power) {
+  // getExplosionDamages throws while our attributes are unknown (right after spawn) and returns null until the armor
+  // attribute has arrived; the raw damage is used in both cases
+  if (!bot.entity.attributes) return bot.getExplosionDamages(bot.entity, pos, power, true)
+  const dmg = bot.getExplosionDamages(bot.entity, pos, power)
+  return dmg ?? bot.getExplosionDamages(bot.entity, pos, power, true)
+}
+
+function trackBlastSource(entity) {
+  if (!entity || !BLAST_SOURCES[entity.name]) return
+  const src = BLAST_SOURCES[entity.name]
+  if (entity.name === 'creeper') {
+    // swell_dir is 1 while the fuse burns and -1 once the creeper calms down; flint and steel sets is_ignited
+    const swell = entityMeta(entity, 'swell_dir')
+    const fused = swell === undefined
+      ? entity.position.distanceTo(bot.entity.position) <= BLAST_CREEPER_NEAR
+      : swell === 1 || entityMeta(entity, 'is_ignited') === true
+    if (!fused) {
+      if (blastThreats.delete(entity.id)) console.log(`[blast] creeper ${entity.id} defused`)
+      return
+    }
+  }
+  if (blastThreats.has(entity.id)) return
+  const power = entity.name === 'creeper' && entityMeta(entity, 'is_powered') ? src.power * 2 : src.power
+  const fuseTicks = entity.name === 'tnt' ? entityMeta(entity, 'fuse') : undefined
+  const fuseMs = typeof fuseTicks === 'number' ? fuseTicks * 50 : src.fuseMs
+  blastThreats.set(entity.id, { entity, power, fusedAt: now(), fuseMs, worstDamage: 0, walled: false })
+  console.log(`[blast] tracking ${entity.name} ${entity.id} power=${power} fuse=${fuseMs}ms at ${posKey(entity.position.floored())}`)
+}
+
+function startBlastEvasion(threat, damage) {
+  if (!blastEvasion) {
+    defenseInterrupts++
+    if (defense) endDefense('avoiding an explosion', false)
+    try { bot.stopDigging() } catch (e) {}
+    try { bot.chat(`${threat.entity.displayName || threat.entity.name} about to blow, moving away!`) } catch (e) {}
+    console.log(`[blast] evading ${threat.entity.name}: expected damage ${damage}`)
+  }
+  if (blastEvasion && blastEvasion.threatId === threat.entity.id) return
+  blastEvasion = { threatId: threat.entity.id, startedAt: now() }
+  bot.clearControlStates()
+  try { bot.pathfinder.setGoal(new GoalInvert(new GoalFollow(threat.entity, threat.power * 2 + 1)), true) } catch (e) {}
+}
+
+function endBlastEvasion() {
+  if (!blastEvasion) return
+  blastEvasion = null
+  bot.clearControlStates()
+  try { bot.pathfinder.stop() } catch (e) {}
+}
+
+// wallOff: place up to two blocks (feet and head height) in the cell between us and the blast
+async function wallOff(threat) {
+  const item = bot.inventory.items().find(i => WALL_BLOCKS.includes(i.name))
+  if (!item) return false
+  const me = bot.entity.position.floored()
+  const dir = threat.entity.position.minus(bot.entity.position)
+  const step = Math.abs(dir.x) >= Math.abs(dir.z) ? new Vec3(Math.sign(dir.x), 0, 0) : new Vec3(0, 0, Math.sign(dir.z))
+  const cell = me.plus(step)
+  const ground = bot.blockAt(cell.offset(0, -1, 0))
+  const feet = bot.blockAt(cell)
+  if (!ground || ground.boundingBox !== 'block' || !feet || feet.boundingBox !== 'empty') return false
+  try { bot.pathfinder.stop() } catch (e) {}
+  bot.clearControlStates()
+  await bot.lookAt(cell.offset(0.5, 0.5, 0.5), true)
+  if (!await safePlace(ground, new Vec3(0, 1, 0), item.name)) return false
+  const placed = bot.blockAt(cell)
+  const head = bot.blockAt(cell.offset(0, 1, 0))
+  if (placed && head && head.boundingBox === 'empty') await safePlace(placed, new Vec3(0, 1, 0), item.name)
+  console.log(`[blast] walled off ${threat.entity.name} with ${item.name} at ${posKey(cell)}`)
+  return true
+}
+
+function blastTick() {
+  if (!bot.entity) return
+  // creepers without readable fuse metadata are tracked by distance, which entityUpdate does not report
+  if (!bot.registry.entitiesByName.creeper?.metadataKeys && creeperMetaStart() === null) {
+    for (const e of Object.values(bot.entities)) if (e.name === 'creeper') trackBlastSource(e)
+  }
+  let worst = null
+  let worstDamage = 0
+  for (const threat of blastThreats.values()) {
+    if (!threat.entity.isValid) continue
+    const dmg = expectedBlastDamage(threat.entity.position, threat.power) || 0
+    threat.worstDamage = Math.max(threat.worstDamage, dmg)
+    if (dmg > worstDamage) { worst = threat; worstDamage = dmg }
+  }
+  if (!worst || worstDamage <= BLAST_SAFE_DAMAGE) {
+    if (blastEvasion) { console.log('[blast] out of range'); endBlastEvasion() }
+    return
+  }
+  startBlastEvasion(worst, worstDamage)
+  // not getting away in time: hide behind a wall instead
+  const left = worst.fuseMs - (now() - worst.fusedAt)
+  if (left < 700 && !worst.walled) {
+    worst.walled = true
+    wallOff(worst).catch(e => console.error('[blast] wallOff failed:', e))
+  }
+}
+
+bot.on('entitySpawn', (entity) => { if (entity.name === 'tnt') trackBlastSource(entity) })
+bot.on('entityUpdate', (entity) => { if (entity.name === 'creeper') trackBlastSource(entity) })
+
+bot.on('entityGone', (entity) => {
+  const threat = blastThreats.get(entity.id)
+  if (!threat) return
+  blastThreats.delete(entity.id)
+  if (blastEvasion && blastEvasion.threatId === entity.id) endBlastEvasion()
+  // the entity vanishing right around the end of its fuse means it went off; report how close it was
+  const exploded = now() - threat.fusedAt >= threat.fuseMs - 500
+  if (!exploded) return
+  const dist = entity.position.distanceTo(bot.entity.position).toFixed(1)
+  const healthBefore = bot.health
+  setTimeout(() => {
+    const taken = Math.max(0, healthBefore - bot.health)
+    if (threat.worstDamage > 0 || taken > 0) {
+      console.log(`[blast] near miss: ${entity.name} exploded ${dist} blocks away, worst predicted ${threat.worstDamage}, took ${taken.toFixed(1)}${threat.walled ? ' (walled)' : ''}`)
+    }
+  }, 500)
+})
+
+setInterval(() => { try { blastTick() } catch (e) { console.error('[blast] tick failed:', e) } }, 100)
+
+// --- hunger ---
+// Eats the food with the best saturation (minecraft-data foods) once food drops to HUNGER_EAT_AT. Runs between plan
+// steps and whenever the bot is idle; harmful foods are only eaten when starving.
+const HUNGER_EAT_AT = Number(process.env.HUNGER_EAT_AT) || 14
+const HUNGER_STARVING = 6 // below this the bot can no longer sprint
+const HARMFUL_FOODS = ['rotten_flesh', 'spider_eye', 'poisonous_potato', 'pufferfish', 'chicken', 'suspicious_stew']
+const RESERVED_FOODS = ['enchanted_golden_apple', 'golden_apple', 'chorus_fruit'] // too valuable or teleports us
+const FOOD_REQUEST_COOLDOWN_MS = 5 * 60000
+let eating = false
+let lastFoodRequest = 0
+
+// pickFood: the inventory food with the highest saturation, null if nothing acceptable is carried
+function pickFood(starving = bot.food <= HUNGER_STARVING) {
+  const foods = bot.registry.foodsByName
+  let best = null
+  for (const it of bot.inventory.items()) {
+    const f = foods[it.name]
+    if (!f || RESERVED_FOODS.includes(it.name)) continue
+    if (!starving && HARMFUL_FOODS.includes(it.name)) continue
+    if (!best || f.saturation > best.food.saturation || (f.saturation === best.food.saturation && f.foodPoints > best.food.foodPoints)) best = { item: it, food: f }
+  }
+  return best && best.item
+}
+
+function askForFood() {
+  if (now() - lastFoodRequest < FOOD_REQUEST_COOLDOWN_MS) return
+  lastFoodRequest = now()
+  const who = OWNER_USERNAME ? `${OWNER_USERNAME}, ` : ''
+  try { bot.chat(`${who}I'm hungry (${bot.food}/20) and out of food. Could you give me some?`) } catch (e) {}
+}
+
+// eatIfHungry: eat until food is above the threshold or nothing edible is left; true if anything was eaten
+async function eatIfHungry() {
+  if (eating || !bot.entity || bot.food > HUNGER_EAT_AT || bot.game.gameMode === 'creative') return false
+  eating = true
+  let ate = false
+  try {
+    while (bot.food <= HUNGER_EAT_AT) {
+      const item = pickFood()
+      if (!item) { askForFood(); break }
+      console.log(`[hunger] food=${bot.food} eating ${item.name}`)
+      await bot.equip(item, 'hand')
+      await bot.consume()
+      ate = true
+    }
+  } catch (e) {
+    console.error('[hunger] eating failed:', e.message || e)
+  } finally {
+    eating = false
+  }
+  return ate
+}
+
+// when nothing else is running, eat straight away; during plans the step loops call eatIfHungry between steps
+bot.on('health', () => {
+  if (busy || plannerInFlight || defense || blastEvasion || duelState || bedtime) return
+  eatIfHungry().catch(() => {})
+})
+
+// --- sleeping ---
+// At nightfall the current task is interrupted and the bot sleeps in the "bed" waypoint (its spawn point), a bed
+// from world memory (nearest to "home" if that waypoint exists) or a bed it places from the inventory. The task
+// resumes on wake.
+const SLEEP_ENABLED = process.env.SLEEP !== '0'
+const SLEEP_SEARCH_RADIUS = Number(process.env.SLEEP_SEARCH_RADIUS) || 48
+const SLEEP_RETRY_MS = 30000
+const BED_RE = /(^|_)bed$/
+let bedtime = null // { bed, startedAt } while walking to, placing or lying in a bed
+let lastSleepAttempt = 0
+
+function isSleepTime() {
+  const thunderstorm = bot.isRaining && bot.thunderState > 0
+  return thunderstorm || (bot.time.timeOfDay >= 12541 && bot.time.timeOfDay <= 23458)
+}
+
+function bedBlockNames() {
+  return bot.registry.blocksArray.filter(b => BED_RE.test(b.name)).map(b => b.name)
+}
+
+// findBed: the remembered spawn bed if it still stands, else the known bed closest to home (or to us)
+function findBed() {
+  const saved = getLandmark('bed')
+  if (saved) {
+    const b = bot.blockAt(saved.position)
+    if (b && bot.isABed(b)) return b
+  }
+  const beds = findNearestBlocks(bedBlockNames(), SLEEP_SEARCH_RADIUS, 16)
+  const home = getLandmark('home')
+  if (home) beds.sort((a, b) => a.position.distanceTo(home.position) - b.position.distanceTo(home.position))
+  return beds[0] || null
+}
+
+// placeBed: put a bed from the inventory next to us; it needs two free cells with solid ground in one direction
+async function placeBed() {
+  const item = bot.inventory.items().find(i => BED_RE.test(i.name))
+  if (!item) return null
+  const me = bot.entity.position.floored()
+  for (const dir of [new Vec3(1, 0, 0), new Vec3(-1, 0, 0), new Vec3(0, 0, 1), new Vec3(0, 0, -1)]) {
+    const foot = me.plus(dir)
+    const head = foot.plus(dir)
+    const cells = [foot, head].map(c => ({ at: bot.blockAt(c), below: bot.blockAt(c.offset(0, -1, 0)) }))
+    if (!cells.every(c => c.at && c.at.boundingBox === 'empty' && c.below && c.below.boundingBox === 'block')) continue
+    // the bed extends away from the player, so face along dir while placing
+    await bot.lookAt(head.offset(0.5, 0, 0.5), true)
+    if (!await safePlace(cells[0].below, new Vec3(0, 1, 0), item.name)) continue
+    const placed = bot.blockAt(foot)
+    if (placed && bot.isABed(placed)) { console.log('[sleep] placed bed at', posKey(foot)); return placed }
+  }
+  return null
+}
+
+async function sleepRoutine() {
+  lastSleepAttempt = now()
+  bedtime = { bed: null, startedAt: now() }
+  defenseInterrupts++
+  try { bot.stopDigging() } catch (e) {}
+  await stopMovement()
+  try {
+    let bed = findBed()
+    if (!bed) bed = await placeBed()
+    if (!bed) { try { bot.chat('It is night but I have no bed nearby or in my inventory') } catch (e) {} ; return false }
+    bedtime.bed = bed
+    console.log(`[sleep] going to bed at ${posKey(bed.position)}`)
+    await gotoNear(bed.position, 1)
+    if (!isSleepTime()) return false
+    await bot.sleep(bed)
+    // dying in bed or a night longer than a full day cycle must not leave the bot stuck in bedtime
+    const woke = new Promise(resolve => {
+      const done = () => { clearTimeout(timer); bot.removeListener('wake', done); bot.removeListener('death', done); resolve() }
+      const timer = setTimeout(done, 20 * 60000)
+      bot.once('wake', done)
+      bot.once('death', done)
+    })
+    // clicking a bed sets the spawn point there
+    setLandmark('bed', bed.position, bot.username)
+    try { bot.chat('Good night') } catch (e) {}
+    await woke
+    console.log('[sleep] woke up')
+    return true
+  } catch (e) {
+    const reason = e.message || String(e)
+    console.log('[sleep] cannot sleep:', reason)
+    if (/monsters nearby/.test(reason)) {
+      try { bot.chat('Cannot sleep, monsters nearby') } catch (err) {}
+      const threat = nearestHostile(DEFENSE_RADIUS * 2)
+      if (threat) setTimeout(() => startDefense(threat, 'blocking the bed'), 0)
+    } else if (/not night/.test(reason)) {
+      // too early or already morning: nothing to do until the next check
+    } else {
+      try { bot.chat(`Cannot sleep: ${reason}`) } catch (err) {}
+    }
+    return false
+  } finally {
+    bedtime = null
   }
-  try { bot.chat('Could not generate micro-plan for pipelineEarly') } catch (e) {}
-  return false
 }
 
-async function wanderSlightly() {
-  const p = bot.entity.position.floored()
-  const dx = (Math.random() < 0.5 ? -1 : 1) * (3 + Math.floor(Math.random() * 6))
-  const dz = (Math.random() < 0.5 ? -1 : 1) * (3 + Math.floor(Math.random() * 6))
-  const tgt = new Vec3(p.x + dx, p.y, p.z + dz)
-  bot.pathfinder.setGoal(new GoalNear(tgt.x, tgt.y, tgt.z, 1))
+bot.on('spawnReset', () => {
+  // the spawn bed is gone or blocked; forget it so the next night picks another one
+  if (deleteLandmark('bed')) {
+    console.log('[sleep] spawn bed lost')
+    try { bot.chat('My bed is missing or obstructed, I lost my spawn point') } catch (e) {}
+  }
+})
+
+setInterval(() => {
+  if (!SLEEP_ENABLED || !bot.entity || bedtime || bot.isSleeping || defense || blastEvasion || duelState) return
+  if (!isSleepTime() || now() - lastSleepAttempt < SLEEP_RETRY_MS) return
+  if (!/overworld/.test(currentDimension())) return // beds explode in the nether and the end
+  sleepRoutine().catch(e => console.error('[sleep] routine failed:', e))
+}, 5000)
+
+// --- death recovery ---
+// On death the position and inventory are recorded; after respawning the bot walks back and picks up what it can
+// before the items despawn (5 minutes after dropping), then reports what it recovered and what was lost.
+const DEATH_RECOVERY = process.env.DEATH_RECOVERY !== '0'
+const ITEM_DESPAWN_MS = 5 * 60000
+const DEATH_PICKUP_RADIUS = 8
+let lastDeath = null // { position, dimension, items: { name: count }, at }
+
+function inventoryCounts() {
+  const counts = {}
+  for (const it of bot.inventory.items()) counts[it.name] = (counts[it.name] || 0) + it.count
+  return counts
 }
 
-async function gotoPlayer(username) {
-  const t = bot.players[username]?.entity
-  if (!t) return false
-  return await gotoNear(t.position, 1)
+function formatCounts(counts) {
+  const parts = Object.entries(counts).filter(([, n]) => n > 0).map(([name, n]) => `${n} ${name}`)
+  return parts.length ? parts.join(', ') : 'nothing'
 }
 
-async function plannerTick() {
+bot.on('death', () => {
+  const items = inventoryCounts()
+  lastDeath = {
+    position: bot.entity.position.clone(),
+    dimension: currentDimension(),
+    // the server may already have emptied the inventory; the last periodic snapshot is the next best thing
+    items: Object.keys(items).length ? items : { ...inventoryMap },
+    at: now()
+  }
+  console.log(`[death] died at ${posKey(lastDeath.position.floored())} in ${lastDeath.dimension} carrying ${formatCounts(lastDeath.items)}`)
+})
+
+async function recoverDeathItems(death) {
+  const deadline = death.at + ITEM_DESPAWN_MS
+  const before = inventoryCounts()
+  const where = posKey(death.position.floored())
+  setBusy(true, 'death recovery')
   try {
-    if (!running || busy) return
-    // ask LLM for a short micro-action plan (inspect/goto/dig) with coords within 10 blocks
-    const inst = 'Autonomous planner: produce a concise plan with a sequence of micro-steps (inspect/goto/dig). Each step must include numeric x,y,z coordinates and be within 10 blocks of the bot. Limit to at most 8 steps. For each step include a short rationale.'
-    const plan = await requestPlanFromLLM(inst)
-    if (plan && Array.isArray(plan.steps) && plan.steps.length) {
-      try { await executePlan(plan.steps) } catch (e) { console.error('executePlan failed:', e) }
-      return
+    try { bot.chat(`I died at ${where}, going back for my things`) } catch (e) {}
+    await gotoNear(death.position, 2)
+    while (now() < deadline) {
+      const drops = Object.values(bot.entities)
+        .filter(e => e.name === 'item' && e.position.distanceTo(death.position) <= DEATH_PICKUP_RADIUS)
+        .sort((a, b) => bot.entity.position.distanceTo(a.position) - bot.entity.position.distanceTo(b.position))
+      if (!drops.length) break
+      const reached = await gotoNear(drops[0].position, 0)
+      await sleep(250)
+      // unreachable drop (lava, a ledge): stop instead of walking into it forever
+      if (!reached && drops[0].isValid) break
     }
-    // fallback small wander
-    await wanderSlightly()
-  } catch (e) {
-    console.error('plannerTick exception:', e)
+  } finally {
+    setBusy(false)
+  }
+  const after = inventoryCounts()
+  const recovered = {}
+  const lost = {}
+  for (const [name, n] of Object.entries(death.items)) {
+    const got = Math.min(n, Math.max(0, (after[name] || 0) - (before[name] || 0)))
+    recovered[name] = got
+    lost[name] = n - got
   }
+  console.log(`[death] recovered ${formatCounts(recovered)}; lost ${formatCounts(lost)}`)
+  try { bot.chat(`Recovered: ${formatCounts(recovered)}. Lost: ${formatCounts(lost)}`) } catch (e) {}
 }
 
+bot.on('spawn', () => {
+  const death = lastDeath
+  if (!death || !DEATH_RECOVERY) return
+  lastDeath = null
+  // keepInventory: nothing was dropped
+  const kept = inventoryCounts()
+  if (Object.keys(death.items).length === 0 || Object.entries(death.items).every(([name, n]) => (kept[name] || 0) >= n)) return
+  if (death.dimension !== currentDimension()) {
+    try { bot.chat(`I died in ${death.dimension} at ${posKey(death.position.floored())} and cannot get back there from here`) } catch (e) {}
+    return
+  }
+  // give the world a moment to load around the respawn point before pathing
+  setTimeout(() => recoverDeathItems(death).catch(e => console.error('[death] recovery failed:', e)), 1500)
+})
+
 // --- START/STOP loop helpers ---
 function startLoop() {
   if (loopTimer) return
@@ -423,11 +2722,18 @@ bot.once('spawn', () => {
   moves.allowFreeMotion = true
   moves.canOpenDoors = true
   moves.allow1x1towers = true
+  moves.maxDropDown = HAZARD_MAX_FALL
   bot.pathfinder.setMovements(moves)
+  ensureMemoryDimension()
+  try { scanNearby(32) } catch (e) { console.error('[memory] initial scan failed:', e) }
+  try { const cfg = getLLMConfig(); console.log(`[llm] provider=${cfg.name} url=${cfg.url} model=${cfg.model}`) } catch (e) { console.error('[llm] invalid LLM configuration:', e.message) }
   bot.chat('Bereit. Sprich mit mir. (start/stop/status)')
   startLoop()
 })
 
+// respawn / dimension change: follow the dimension's memory
+bot.on('spawn', () => { try { ensureMemoryDimension() } catch (e) { console.error('[memory] dimension switch failed:', e) } })
+
 // also announce on login (some servers require login before chats are accepted)
 bot.on('login', () => {
   try { bot.chat('Logged in and ready.') } catch (e) {}
@@ -451,25 +2757,33 @@ bot.on('chat', async (username, message) => {
   }
 
   if (msg === 'start') { startLoop(); bot.chat('Starte.'); return }
-  if (msg === 'stop')  { stopLoop();  bot.chat('Stoppe.'); return }
+  if (msg === 'stop')  { stopLoop(); cancelGather(); bot.chat('Stoppe.'); return }
   if (msg === 'status') {
     bot.chat(`HP:${bot.health} Food:${bot.food} Holz:${countItem(['oak_log','birch_log','spruce_log'])} Planks:${countItem(['oak_planks','birch_planks','spruce_planks'])} Stein:${countItem(['cobblestone'])} op:${botIsOp}`)
     return
   }
 
+  if (await handleWaypointCommand(username, msg)) return
+  if (await handleDeicticCommand(username, msg)) return
+  if (await handleStorageCommand(username, msg)) return
+
   // duel / challenge commands
   if (msg === 'duel' || msg === 'duel me' || msg === 'fight me' || msg === 'challenge me' || msg === 'battle me') {
     await startDuelWith(username)
     return
   }
   if (msg.startsWith('duel ') || msg.startsWith('challenge ') || msg.startsWith('fight ') || msg.startsWith('battle ')) {
+    // "duel steve", "duel me hard", "duel hard"
     const parts = msg.split(/\s+/)
-    const target = parts[1] || username
-    await startDuelWith(target)
+    let target = parts[1] || username
+    let difficulty = parts[2]
+    if (DUEL_DIFFICULTIES[target]) { difficulty = target; target = username }
+    if (target === 'me') target = username
+    await startDuelWith(target, difficulty)
     return
   }
   if (msg === 'stopduel' || msg === 'endduel' || msg === 'forfeit') {
-    await stopDuel()
+    await stopDuel(username, msg === 'forfeit')
     return
   }
 
@@ -486,6 +2800,24 @@ bot.on('chat', async (username, message) => {
       const z = Number(m[4])
       return [{ name, params: { x, y, z } }]
     }
+    // give <player|me> [count] <item> [count] / give <count> <item> to <player>
+    let mg = t.match(/^give (\d+) ([a-z_ ]+?) to ([a-z0-9_]+)$/i)
+    if (mg) mg = [mg[0], mg[3], mg[1], mg[2]]
+    else mg = t.match(/^give ([a-z0-9_]+) (?:(\d+) )?([a-z_ ]+?)(?: (\d+))?$/i)
+    if (mg) {
+      const player = mg[1].toLowerCase() === 'me' ? username : mg[1]
+      return [{ name: 'give', params: { player, item: mg[3].trim().toLowerCase().replace(/\s+/g, '_'), count: Number(mg[2] || mg[4] || 1) } }]
+    }
+    const repairRe = /^repair(?:\s+([a-z_ ]+))?$/i
+    const mr = t.match(repairRe)
+    if (mr) return [{ name: 'repair', params: mr[1] ? { tool: mr[1].trim().toLowerCase().replace(/\s+/g, '_') } : {} }]
+    // craft|smelt|gather <item> [count] / craft|smelt|gather <count> <item>
+    const craftRe = /^(craft|smelt|gather)\s+(?:(\d+)\s+)?([a-z_][a-z_ ]*?)(?:\s+(\d+))?$/i
+    const mc = t.match(craftRe)
+    if (mc) {
+      const name = mc[1].toLowerCase()
+      return [{ name, params: { item: mc[3].trim().toLowerCase().replace(/\s+/g, '_'), count: Number(mc[2] || mc[4] || (name === 'gather' ? 8 : 1)) } }]
+    }
     // /command or command: run server command
     const cmdRe = /^(?:command|cmd)\s+(.+)$/i
     const m2 = t.match(cmdRe)
@@ -524,6 +2856,7 @@ bot.on('chat', async (username, message) => {
       for (const a of chatActions) {
         console.log('[gpt] executing action from chat command:', a)
         try { await executeAction(username, a) } catch (e) { console.error('executeAction failed for', a, e) }
+        await betweenSteps()
         await sleep(150)
       }
       return
@@ -548,6 +2881,7 @@ bot.on('kicked', (reason) => {
 
 bot.on('end', () => {
   try { console.log('Connection ended') } catch (e) {}
+  saveMemorySync()
   if (loopTimer) clearInterval(loopTimer)
 })
 
@@ -555,81 +2889,6 @@ bot.on('error', (err) => {
   try { console.error('Bot error:', err) } catch (e) {}
 })
 
-function extractActionsLoose(text, username) {
-  if (!text) return []
-  const acts = []
-
-  // New: support lines like: Action: move Params: {"distance":1,"direction":"forward"}
-  const actionParamsRe = /Action\s*[:\-]?\s*([a-zA-Z0-9_]+)\b[\s\S]*?Params\s*[:\-]?\s*({[\s\S]*?})/i
-  let m = text.match(actionParamsRe)
-  if (m && m[1]) {
-    const name = m[1].toLowerCase()
-    const paramsText = m[2]
-    let params = {}
-    try {
-      params = JSON.parse(paramsText)
-    } catch (e) {
-      // fallback: try to parse simple key=value or key:"value" pairs
-      const kv = {}
-      const pairs = paramsText.replace(/^[\{\s]+|[\}\s]+$/g, '').split(/[;,\n]/)
-      for (const p of pairs) {
-        const part = p.trim()
-        if (!part) continue
-        const kvm = part.match(/([a-zA-Z0-9_]+)\s*[:=]\s*(?:['"]?)([^'"\s]+)(?:['"]?)/)
-        if (kvm) kv[kvm[1]] = isNaN(Number(kvm[2])) ? kvm[2] : Number(kvm[2])
-      }
-      params = kv
-    }
-    try { if (params && typeof params === 'object') {
-      // replace placeholders
-      for (const k of Object.keys(params)) {
-        if (typeof params[k] === 'string') params[k] = params[k].replace(/USERNAME|USER|PLAYER/gi, username)
-      }
-    } } catch (e) {}
-    acts.push({ name, params })
-  }
-
-  // JSON-like command key: "command":"..."
-  const jsonCmdRe = /["']?command["']?\s*[:=]\s*["']([^"'\n]+)["']/i
-  m = text.match(jsonCmdRe)
-  if (m && m[1]) {
-    let cmd = m[1].trim()
-    cmd = cmd.replace(/USERNAME|USER|PLAYER/gi, username)
-    acts.push({ name: 'command', params: { command: cmd } })
-  }
-  // function-like: command(command="time set day") or command(cmd=time set day)
-  const funcRe = /command\s*\(\s*(?:command\s*=\s*)?["']?([^"')]+)["']?\s*\)/i
-  m = text.match(funcRe)
-  if (m && m[1]) {
-    let cmd = m[1].trim()
-    cmd = cmd.replace(/USERNAME|USER|PLAYER/gi, username)
-    acts.push({ name: 'command', params: { command: cmd } })
-  }
-  // inline //command(...) pattern
-  const inlineRe = /\/\/[^\n]*command[^\n]*/i
-  m = text.match(inlineRe)
-  if (m) {
-    const inner = m[0]
-    const p = inner.match(/command\s*\(\s*([^\)]+)\s*\)/i)
-    if (p && p[1]) {
-      let body = p[1]
-      const q = body.match(/['"]([^'"]+)['"]/)
-      let cmd = q ? q[1] : body
-      cmd = cmd.replace(/USERNAME|USER|PLAYER/gi, username).trim()
-      acts.push({ name: 'command', params: { command: cmd } })
-    }
-  }
-  if (!acts.length) return []
-  // dedupe
-  const seen = new Set()
-  const out = []
-  for (const a of acts) {
-    const k = (a.name || '') + '|' + (a.params && a.params.command ? a.params.command : JSON.stringify(a.params || {}))
-    if (!seen.has(k)) { seen.add(k); out.push(a) }
-  }
-  return out
-}
-
 // Parse a plan object from LLM reply text. Expect JSON like: { "plan": { "steps": [ {...} ] } }
 function parsePlanFromReply(text) {
   if (!text) return null
@@ -670,78 +2929,674 @@ function parsePlanFromReply(text) {
 }
 
 // Request a plan from the LLM and return the parsed plan object (or null)
-async function requestPlanFromLLM(userInstruction) {
+// the plan is validated against the step schemas and sent back for repair up to LLM_REPAIR_ROUNDS times before anything runs.
+// opts.onStep: with LLM_STREAM enabled and repair rounds off, called with each step as soon as it has been streamed
+// (and validated on its own); with repair rounds on, nothing runs before the whole plan has passed
+async function requestPlanFromLLM(userInstruction, opts = {}) {
   console.log('[planner] requestPlanFromLLM userInstruction:', userInstruction.slice ? userInstruction.slice(0,200) : userInstruction)
   if (!sendChatCompletion) return null
-  const SYSTEM = `You are an autonomous Minecraft planner (Llama). Output ONLY JSON containing a top-level "plan" object. The plan MUST include "steps" (array). Each step must be a primitive: inspect, goto, dig and include numeric x,y,z coordinates in params. Each step may include a short "rationale" string. All coordinates MUST be within 10 blocks of the bot. Limit steps to 8. No other high-level actions allowed.`
-  const messages = [ { role: 'system', content: SYSTEM }, { role: 'user', content: userInstruction } ]
+  const SYSTEM = `You are an autonomous Minecraft planner (Llama). Output ONLY JSON containing a top-level "plan" object. The plan MUST include "steps" (array). Each step must be a primitive: inspect, goto, dig and include numeric x,y,z coordinates in params (or {"waypoint":"name"} for a saved waypoint). Each step may include a short "rationale" string. All coordinates MUST be within 10 blocks of the bot. Limit steps to 8. No other high-level actions allowed.`
+  const messages = [ { role: 'system', content: SYSTEM }, { role: 'user', content: withWorldContext(userInstruction) } ]
   try {
-    const res = await sendChatCompletion({ model: process.env.GPT4ALL_MODEL || 'Llama 3 8B Instruct', messages, temperature: 0.12 })
-    let reply = ''
-    if (!res) return null
-    if (typeof res === 'string') reply = res
-    else if (Array.isArray(res.choices) && res.choices.length) {
-      const f = res.choices[0]
-      reply = (f.message && f.message.content) || f.text || (f.delta && f.delta.content) || f.content || ''
-    } else if (res.text) reply = res.text
-    else reply = JSON.stringify(res)
-
-    // send a short sanitized planner reply to chat for visibility
-    try {
-      const chatText = sanitizeLLMReplyForChat(reply)
-      if (chatText) { bot.chat && bot.chat(chatText); console.log('[planner] sent LLM planner reply to chat:', chatText) }
-    } catch (e) { console.log('Failed to send planner reply to chat:', e) }
-
-    console.log('[planner] LLM reply preview:', String(reply).slice(0,400))
-    const plan = parsePlanFromReply(reply)
-    console.log('[planner] parsed plan:', plan && plan.steps ? plan.steps.length : null)
-    return plan
+    for (let round = 0; ; round++) {
+      // re-checked every round: a model that rejected tools gets the JSON prompt from then on
+      const useTools = llmToolsEnabled()
+      messages[0].content = useTools ? `${SYSTEM} ${TOOLS_HINT}` : SYSTEM
+      // streamed steps would run before the whole plan is checked, so they are only used when there is nothing to repair
+      const { plan, reply, streamed } = await requestPlanOnce(messages, useTools, LLM_REPAIR_ROUNDS === 0 ? opts.onStep : null)
+      const errors = validatePlanSteps(plan && plan.steps, PLAN_TOOLS, MAX_PLAN_STEPS, 'steps')
+      if (!errors.length) {
+        console.log(`[validate] plan passed (${plan.steps.length} steps, ${round} repair round(s))`)
+        return plan
+      }
+      if (streamed) {
+        // part of the plan already ran; rewriting it now would run those steps twice
+        console.log(`[validate] streamed plan stopped after ${streamed} step(s):`, errors)
+        return null
+      }
+      if (round >= LLM_REPAIR_ROUNDS) {
+        console.log(`[validate] plan failed after ${round} repair round(s):`, errors)
+        return null
+      }
+      console.log(`[validate] plan invalid, repair round ${round + 1}/${LLM_REPAIR_ROUNDS}:`, errors)
+      messages.push({ role: 'assistant', content: reply || JSON.stringify({ plan }) }, { role: 'user', content: repairPrompt('plan', errors, llmToolsEnabled()) })
+    }
   } catch (e) {
     console.error('requestPlanFromLLM failed:', e)
     return null
   }
 }
 
+// requestPlanOnce: one planner round trip; returns the parsed plan, the raw reply and how many steps were streamed to onStep
+async function requestPlanOnce(messages, useTools, onStep) {
+  let streamed = 0
+  let streamHalted = false
+  const request = { messages, temperature: 0.12, tools: useTools ? PLAN_TOOLS : null }
+  if (LLM_STREAM) {
+    request.stream = true
+    request.onSentence = s => sayStreamedSentence(s, '[planner]')
+    if (typeof onStep === 'function') request.onItem = obj => {
+      if (!obj || typeof obj.name !== 'string' || streamHalted) return
+      // a streamed step runs right away, so it has to pass validation on its own
+      const errors = validateStep(obj, streamed, PLAN_TOOLS, 'steps')
+      if (errors.length) { streamHalted = true; console.log('[validate] streamed step rejected:', errors); return }
+      streamed++
+      onStep(obj)
+    }
+  }
+  const res = await sendChatCompletion(request)
+  let reply = ''
+  if (!res) return { plan: null, reply, streamed }
+  if (typeof res === 'string') reply = res
+  else if (Array.isArray(res.choices) && res.choices.length) {
+    const f = res.choices[0]
+    reply = (f.message && f.message.content) || f.text || (f.delta && f.delta.content) || f.content || ''
+  } else if (res.text) reply = res.text
+  else reply = JSON.stringify(res)
+
+  // send a short sanitized planner reply to chat for visibility (already done sentence by sentence when streamed)
+  if (!res.streamed) try {
+    const chatText = sanitizeLLMReplyForChat(reply)
+    if (chatText) { bot.chat && bot.chat(chatText); console.log('[planner] sent LLM planner reply to chat:', chatText) }
+  } catch (e) { console.log('Failed to send planner reply to chat:', e) }
+
+  console.log('[planner] LLM reply preview:', String(reply).slice(0,400))
+  // native tool calls are the plan; the JSON scraping below is the fallback for models without tool support
+  const toolSteps = toolCallsToActions(res.choices && res.choices[0] && res.choices[0].message).map(toolActionToStep)
+  if (toolSteps.length) {
+    console.log('[planner] plan from tool calls:', toolSteps.length)
+    return { plan: { steps: toolSteps }, reply, streamed }
+  }
+  const plan = parsePlanFromReply(reply)
+  console.log('[planner] parsed plan:', plan && plan.steps ? plan.steps.length : null)
+  return { plan, reply, streamed }
+}
+
 // Execute a plan steps array consisting of micro-actions
 async function executePlan(steps) {
   console.log('[planner] executePlan called with steps:', Array.isArray(steps) ? steps.length : typeof steps)
   if (!Array.isArray(steps)) return false
-  for (const s of steps) {
-    if (!s || !s.name) continue
-    const name = String(s.name).toLowerCase()
-    const p = s.params || {}
-    console.log(`[planner] executing step: ${name} params=${JSON.stringify(p)}`)
-    // validate coordinates
-    if (typeof p.x !== 'number' || typeof p.y !== 'number' || typeof p.z !== 'number') {
-      try { bot.chat(`Skipping step: missing coordinates`) } catch (e) {}
-      console.log('[planner] skipping step: missing coordinates', s)
-      continue
+  const release = reserveItems(steps.flatMap(stepTargetItems))
+  try {
+    for (const s of steps) {
+      const ran = await executePlanStep(s)
+      await betweenSteps()
+      if (ran) await sleep(200)
     }
-    // ensure within 10 blocks
-    const dist = bot.entity.position.distanceTo(new Vec3(p.x, p.y, p.z))
-    if (dist > 10) { try { bot.chat(`Skipping out-of-range step at ${p.x},${p.y},${p.z}`) } catch (e) {} ; console.log('[planner] skipping out-of-range step', p); continue }
-    // refuse illegal step types
-    if (!['inspect','goto','dig','mine'].includes(name)) {
-      try { bot.chat(`Skipping unsupported step type: ${name}`) } catch (e) {}
-      console.log('[planner] unsupported step type, skipping:', name)
-      continue
+  } finally {
+    release()
+  }
+  return true
+}
+
+// Validate and run a single plan step; returns false if the step was skipped
+async function executePlanStep(s) {
+  if (!s || !s.name) return false
+  const name = String(s.name).toLowerCase()
+  const p = resolveWaypointParams(s.params || {})
+  console.log(`[planner] executing step: ${name} params=${JSON.stringify(p)}`)
+  if (!p) {
+    try { bot.chat(`Skipping step: unknown waypoint ${s.params.waypoint}`) } catch (e) {}
+    return false
+  }
+  // validate coordinates
+  if (typeof p.x !== 'number' || typeof p.y !== 'number' || typeof p.z !== 'number') {
+    try { bot.chat(`Skipping step: missing coordinates`) } catch (e) {}
+    console.log('[planner] skipping step: missing coordinates', s)
+    return false
+  }
+  // ensure within 10 blocks (walking to a saved waypoint may go further)
+  const dist = bot.entity.position.distanceTo(new Vec3(p.x, p.y, p.z))
+  if (dist > MAX_STEP_DISTANCE && !(name === 'goto' && p.waypoint)) { try { bot.chat(`Skipping out-of-range step at ${p.x},${p.y},${p.z}`) } catch (e) {} ; console.log('[planner] skipping out-of-range step', p); return false }
+  // refuse illegal step types
+  if (!['inspect','goto','dig','mine'].includes(name)) {
+    try { bot.chat(`Skipping unsupported step type: ${name}`) } catch (e) {}
+    console.log('[planner] unsupported step type, skipping:', name)
+    return false
+  }
+  // announce rationale then execute
+  if (s.rationale) try { bot.chat(`Plan: ${s.rationale}`) } catch (e) {}
+  await executeMicroAction({ name, params: p })
+  return true
+}
+
+// createStepQueue: run pushed steps strictly one after another while more may still arrive from a stream.
+// finish() waits for the queue to drain and resolves to the number of steps pushed.
+function createStepQueue(runStep) {
+  const pending = []
+  const releases = []
+  let pushed = 0
+  let draining = null
+  async function drain() {
+    while (pending.length) {
+      const step = pending.shift()
+      try { await runStep(step) } catch (e) { console.error('[stream] step failed:', step, e) }
+      await betweenSteps()
+      await sleep(200)
     }
-    // announce rationale then execute
-    if (s.rationale) try { bot.chat(`Plan: ${s.rationale}`) } catch (e) {}
-    await executeMicroAction({ name, params: p })
-    await sleep(200)
+    draining = null
+  }
+  return {
+    push(step) {
+      pushed++
+      releases.push(reserveItems(stepTargetItems(step)))
+      pending.push(step)
+      if (!draining) draining = drain()
+    },
+    async finish() {
+      while (draining) await draining
+      for (const release of releases.splice(0)) release()
+      return pushed
+    }
+  }
+}
+
+// --- waypoints ---
+// Named places stored as landmarks in the persistent world memory. Steps and actions may use
+// { "waypoint": "home" } instead of x,y,z.
+
+// resolveWaypointParams: copy of params with x,y,z filled in from the named waypoint; null if the name is unknown
+function resolveWaypointParams(p) {
+  if (!p || typeof p.waypoint !== 'string' || !p.waypoint.trim()) return p
+  const mark = getLandmark(p.waypoint.trim())
+  if (!mark) return null
+  return { ...p, x: mark.position.x, y: mark.position.y, z: mark.position.z }
+}
+
+// findPlayerEntity: chat text is lowercased, player names are not
+function findPlayerEntity(name) {
+  if (!name) return null
+  if (bot.players[name] && bot.players[name].entity) return bot.players[name].entity
+  const key = Object.keys(bot.players).find(k => k.toLowerCase() === String(name).toLowerCase())
+  return key && bot.players[key].entity ? bot.players[key].entity : null
+}
+
+function describeWaypoint(m) {
+  const d = bot.entity ? Math.round(bot.entity.position.distanceTo(m.position)) : null
+  return `${m.name} ${posKey(m.position)}${d === null ? '' : ` (${d}m)`}`
+}
+
+// handleWaypointCommand: remember / go / list / forget named places; returns true when the message was one of them
+async function handleWaypointCommand(username, msg) {
+  let m = msg.match(/^remember (?:this|this place|here)(?: as)? ([a-z0-9_-]+)$/)
+  if (m) {
+    const speaker = findPlayerEntity(username)
+    const pos = speaker ? speaker.position : bot.entity.position
+    const mark = setLandmark(m[1], pos, username)
+    try { bot.chat(`Remembered ${describeWaypoint(mark)}`) } catch (e) {}
+    saveMemory().catch(() => {})
+    return true
   }
+  m = msg.match(/^remember ([a-z0-9_]+)'s (?:position|pos|place|location) as ([a-z0-9_-]+)$/)
+  if (m) {
+    const player = findPlayerEntity(m[1])
+    if (!player) { try { bot.chat(`I cannot see ${m[1]}`) } catch (e) {} ; return true }
+    const mark = setLandmark(m[2], player.position, username)
+    try { bot.chat(`Remembered ${describeWaypoint(mark)}`) } catch (e) {}
+    saveMemory().catch(() => {})
+    return true
+  }
+  if (/^(?:list )?(?:places|waypoints)$/.test(msg)) {
+    const list = [...landmarks.values()].map(describeWaypoint)
+    try { bot.chat(list.length ? `Places: ${list.join(', ')}`.slice(0, 240) : 'No places saved yet.') } catch (e) {}
+    return true
+  }
+  m = msg.match(/^forget ([a-z0-9_-]+)$/)
+  if (m) {
+    const ok = deleteLandmark(m[1])
+    try { bot.chat(ok ? `Forgot ${m[1]}` : `I do not know a place called ${m[1]}`) } catch (e) {}
+    if (ok) saveMemory().catch(() => {})
+    return true
+  }
+  m = msg.match(/^(?:go|go to|goto|walk to) ([a-z0-9_-]+)$/)
+  if (m && getLandmark(m[1])) {
+    const mark = getLandmark(m[1])
+    try { bot.chat(`Going to ${describeWaypoint(mark)}`) } catch (e) {}
+    await executeMicroAction({ name: 'goto', params: { waypoint: m[1] } })
+    return true
+  }
+  return false
+}
+
+// --- deictic commands ---
+// "dig this", "inspect the block I'm looking at", "go there", "come here": targets are resolved from the speaking
+// player's entity — a raycast along their view for this/that/there, their own position for here/me.
+const DEICTIC_MAX_DISTANCE = Number(process.env.DEICTIC_MAX_DISTANCE) || 64
+const DEICTIC_RE = /^(dig|mine|break|inspect|check|look at|goto|go to|go|walk to|come to|come)(?: (?:the block |what )?(i'?m looking at|this block|that block|this|that|there|here|me))?$/
+const DEICTIC_VERBS = { dig: 'dig', mine: 'dig', break: 'dig', inspect: 'inspect', check: 'inspect', 'look at': 'inspect', goto: 'goto', 'go to': 'goto', go: 'goto', 'walk to': 'goto', 'come to': 'goto', come: 'goto' }
+
+// resolveDeicticTarget: block position for the given word as seen from the player, or { error }
+function resolveDeicticTarget(username, word, action) {
+  const player = findPlayerEntity(username)
+  if (!player) return { error: `I cannot see you, ${username}` }
+  if (word === 'here' || word === 'me') {
+    const feet = player.position.floored()
+    // digging or inspecting "here" means the block the player stands on
+    return { position: action === 'goto' ? feet : feet.offset(0, -1, 0) }
+  }
+  const block = bot.blockAtEntityCursor(player, DEICTIC_MAX_DISTANCE)
+  if (!block) return { error: `You are not looking at a block within ${DEICTIC_MAX_DISTANCE} blocks` }
+  // walking "there" means standing on top of the block, not inside it
+  return { position: action === 'goto' ? block.position.offset(0, 1, 0) : block.position, block }
+}
+
+// handleDeicticCommand: returns true when the message was a pointing command (handled or refused)
+async function handleDeicticCommand(username, msg) {
+  const m = msg.match(DEICTIC_RE)
+  if (!m) return false
+  const verb = m[1]
+  const word = m[2] || (verb.startsWith('come') ? 'me' : null)
+  if (!word) return false
+  const action = DEICTIC_VERBS[verb]
+  const target = resolveDeicticTarget(username, word.replace(/^i'?m looking at$/, 'this'), action)
+  if (target.error) { try { bot.chat(target.error) } catch (e) {} ; return true }
+  const { x, y, z } = target.position
+  const what = target.block ? `${target.block.name} at ` : ''
+  console.log(`[deictic] ${username}: "${msg}" -> ${action} ${x},${y},${z}`)
+  try { bot.chat(`${action === 'dig' ? 'Digging' : action === 'inspect' ? 'Inspecting' : 'Going to'} ${what}${x},${y},${z}`) } catch (e) {}
+  await executeMicroAction({ name: action, params: { x, y, z } })
   return true
 }
 
+// --- storage ---
+// Every container the bot opens is indexed (position -> item counts, free slots) and kept current from the window's
+// slot updates. Chests get a label ("this chest is for ores"); STORAGE_RULES decide which label an item belongs to.
+const DEFAULT_STORAGE_RULES = {
+  ores: '_ore$|^raw_|_ingot$|_nugget$|^coal$|^charcoal$|^diamond$|^emerald$|^redstone$|^lapis_lazuli$|^quartz$|^amethyst_shard$|^netherite_scrap$',
+  wood: '_log$|_stem$|_planks$|_wood$|_hyphae$|^stick$|_sapling$',
+  stone: '^cobblestone$|^stone$|deepslate|^andesite$|^diorite$|^granite$|^tuff$|^calcite$|^netherrack$|^blackstone$',
+  dirt: '^dirt$|^coarse_dirt$|^gravel$|^sand$|^red_sand$|^clay_ball$|^flint$',
+  farm: 'seeds$|^wheat$|^carrot$|^potato$|^beetroot$|^sugar_cane$|^bone_meal$',
+  mob: '^rotten_flesh$|^bone$|^string$|^spider_eye$|^gunpowder$|^ender_pearl$|^slime_ball$|^leather$|^feather$'
+}
+const STORAGE_RULES = Object.entries((() => {
+  try { return process.env.STORAGE_RULES ? JSON.parse(process.env.STORAGE_RULES) : DEFAULT_STORAGE_RULES } catch (e) {
+    console.error('[storage] STORAGE_RULES is not valid JSON, using defaults:', e.message)
+    return DEFAULT_STORAGE_RULES
+  }
+})()).map(([label, re]) => ({ label, re: new RegExp(re) }))
+const STORAGE_RADIUS = Number(process.env.STORAGE_RADIUS) || 48
+// never deposited by a plain "deposit": gear and food the bot needs while working
+const STORAGE_KEEP_RE = /_(pickaxe|axe|shovel|hoe|sword|helmet|chestplate|leggings|boots)$|^(shield|shears|bow|crossbow|arrow|torch|crafting_table|furnace)$/
+
+function storageLabelFor(itemName) {
+  const rule = STORAGE_RULES.find(r => r.re.test(itemName))
+  return rule ? rule.label : 'misc'
+}
+
+function containerCounts(window) {
+  const items = {}
+  for (const it of window.containerItems()) items[it.name] = (items[it.name] || 0) + it.count
+  return items
+}
+
+// openStorage: open a container and keep its index entry in sync until the window closes
+async function openStorage(block) {
+  const window = await bot.openContainer(block)
+  const sync = () => {
+    const entry = rememberContainer(block.position, block.name, containerCounts(window))
+    entry.freeSlots = window.inventoryStart - window.containerItems().length
+  }
+  // a double chest is kept under one canonical half (see rememberContainer), whichever half was clicked
+  sync()
+  window.on('updateSlot', sync)
+  window.once('close', () => { window.removeListener('updateSlot', sync); saveMemory().catch(() => {}) })
+  return window
+}
+
+function knownContainers() {
+  const origin = bot.entity.position
+  return [...containers.values()]
+    .filter(c => CONTAINER_BLOCK_RE.test(c.name) && origin.distanceTo(c.position) <= STORAGE_RADIUS)
+    .sort((a, b) => origin.distanceTo(a.position) - origin.distanceTo(b.position))
+}
+
+// storageFor: where an item goes — its labelled chest, a chest that already holds it, a "misc" chest, any other chest.
+// skip: position keys of chests that already turned out to be full for it
+function storageFor(itemName, skip = new Set()) {
+  const label = storageLabelFor(itemName)
+  const list = knownContainers().filter(c => !skip.has(posKey(c.position)) && (c.freeSlots !== 0 || (c.items && c.items[itemName])))
+  return list.find(c => c.label === label) ||
+    list.find(c => c.items && c.items[itemName] && (!c.label || c.label === 'misc')) ||
+    list.find(c => c.label === 'misc') ||
+    list.find(c => !c.label) ||
+    null
+}
+
+async function withContainer(entry, fn) {
+  const block = bot.blockAt(entry.position)
+  if (!block || !CONTAINER_BLOCK_RE.test(block.name)) { containers.delete(posKey(entry.position)); return false }
+  if (bot.entity.position.distanceTo(block.position) > 3.5) await gotoNear(block.position, 2)
+  let window = null
+  setBusy(true, 'storage')
+  try {
+    window = await openStorage(block)
+    return await fn(window)
+  } finally {
+    if (window) try { window.close() } catch (e) {}
+    setBusy(false)
+  }
+}
+
+// depositItems: { name: count } to store; "all" stores everything except gear and food
+async function depositItems(which = 'all', count = null) {
+  const wanted = {}
+  for (const it of bot.inventory.items()) {
+    if (which === 'all' ? (STORAGE_KEEP_RE.test(it.name) || bot.registry.foodsByName[it.name]) : it.name !== which) continue
+    wanted[it.name] = (wanted[it.name] || 0) + it.count
+  }
+  if (which !== 'all' && count) wanted[which] = Math.min(wanted[which] || 0, count)
+  if (!Object.values(wanted).some(n => n > 0)) { try { bot.chat(which === 'all' ? 'Nothing to deposit' : `I have no ${which}`) } catch (e) {} ; return false }
+  const stored = {}
+  const left = { ...wanted }
+  const full = {} // item name -> chests that had no more room for it
+  // each round groups what is left by target chest so each chest is opened once; whatever did not fit goes to the next
+  // chest in the following round, since the free slot counts are only known once a chest has been opened
+  for (;;) {
+    const byChest = new Map()
+    for (const [name, n] of Object.entries(left)) {
+      if (n <= 0) continue
+      const entry = storageFor(name, full[name] || (full[name] = new Set()))
+      if (!entry) continue
+      const key = posKey(entry.position)
+      if (!byChest.has(key)) byChest.set(key, { entry, items: [] })
+      byChest.get(key).items.push(name)
+    }
+    if (!byChest.size) break
+    for (const [key, { entry, items }] of byChest) {
+      try {
+        await withContainer(entry, async (window) => {
+          for (const name of items) {
+            const id = bot.registry.itemsByName[name].id
+            const before = bot.inventory.count(id, null)
+            try { await window.deposit(id, null, left[name]) } catch (e) { console.log(`[storage] deposit ${name} stopped: ${e.message}`) }
+            const moved = before - bot.inventory.count(id, null)
+            if (moved > 0) stored[name] = (stored[name] || 0) + moved
+            left[name] -= moved
+          }
+        })
+      } catch (e) { console.error('[storage] chest failed:', e.message || e) }
+      for (const name of items) if (left[name] > 0) full[name].add(key)
+    }
+  }
+  const unplaced = Object.entries(left).filter(([, n]) => n > 0).map(([name, n]) => `${n} ${name}`)
+  const summary = Object.entries(stored).map(([name, n]) => `${n} ${name}`).join(', ')
+  try { bot.chat(`Stored ${summary || 'nothing'}${unplaced.length ? `; no room for ${unplaced.join(', ')}` : ''}`) } catch (e) {}
+  return unplaced.length === 0
+}
+
+async function withdrawItems(name, count) {
+  const item = bot.registry.itemsByName[name]
+  if (!item) { try { bot.chat(`Unknown item: ${name}`) } catch (e) {} ; return false }
+  let got = 0
+  for (const entry of knownContainers().filter(c => c.items && c.items[name] > 0)) {
+    if (got >= count) break
+    try {
+      await withContainer(entry, async (window) => {
+        const available = window.containerItems().filter(i => i.type === item.id).reduce((n, i) => n + i.count, 0)
+        const take = Math.min(count - got, available)
+        if (take > 0) { await window.withdraw(item.id, null, take); got += take }
+      })
+    } catch (e) { console.error('[storage] withdraw failed:', e.message || e) ; break }
+  }
+  try { bot.chat(got ? `Took ${got}/${count} ${name} from storage` : `No ${name} in my chests`) } catch (e) {}
+  return got >= count
+}
+
+function describeItemLocations(name) {
+  const hits = [...containers.values()].filter(c => c.items && c.items[name] > 0)
+  const carried = countItem([name])
+  if (!hits.length && !carried) return `I don't know of any ${name}`
+  const parts = hits.map(c => `${c.items[name]} in ${c.label ? c.label + ' ' : ''}${c.name} at ${posKey(c.position)}`)
+  if (carried) parts.unshift(`${carried} on me`)
+  return `${name}: ${parts.join(', ')}`
+}
+
+// handleStorageCommand: deposit / withdraw / where is my X / chest labels; true when the message was one of them
+async function handleStorageCommand(username, msg) {
+  const itemArg = (s) => s.trim().replace(/\s+/g, '_')
+  let m = msg.match(/^deposit(?: (all|everything))?$/)
+  if (m) { await depositItems('all'); return true }
+  m = msg.match(/^deposit (?:(\d+) )?([a-z_ ]+?)(?: (\d+))?$/)
+  if (m) { await depositItems(itemArg(m[2]), Number(m[1] || m[3]) || null); return true }
+  m = msg.match(/^withdraw (?:(\d+) )?([a-z_ ]+?)(?: (\d+))?$/)
+  if (m) { await withdrawItems(itemArg(m[2]), Number(m[1] || m[3]) || 1); return true }
+  // "where is my X" is always ours; "where is the X" only when X is an item, so "where are you" still reaches the LLM
+  m = msg.match(/^where (?:is|are) (my |the )?([a-z_ ]+?)\??$/)
+  if (m && (m[1] === 'my ' || bot.registry.itemsByName[itemArg(m[2])])) {
+    try { bot.chat(describeItemLocations(itemArg(m[2])).slice(0, 240)) } catch (e) {}
+    return true
+  }
+  m = msg.match(/^(?:this chest is for|label this chest(?: as)?|label chest(?: as)?) ([a-z_]+)$/)
+  if (m) {
+    const player = findPlayerEntity(username)
+    const looked = player ? bot.blockAtEntityCursor(player, 8) : null
+    const block = looked && CONTAINER_BLOCK_RE.test(looked.name) ? looked : findNearbyBlock(['chest', 'trapped_chest', 'barrel'], 6)
+    if (!block) { try { bot.chat('Look at a chest (or stand next to one) first') } catch (e) {} ; return true }
+    const entry = rememberContainer(block.position, block.name)
+    entry.label = m[1]
+    saveMemory().catch(() => {})
+    try { bot.chat(`${block.name} at ${posKey(block.position)} is now for ${m[1]}`) } catch (e) {}
+    return true
+  }
+  if (/^(?:tidy|organi[sz]e)(?: (?:up|inventory|your inventory))?$/.test(msg)) {
+    await organizeInventory(true)
+    try { bot.chat(`Inventory tidied, ${bot.inventory.emptySlotCount()} slots free`) } catch (e) {}
+    return true
+  }
+  if (/^(?:list )?chests$/.test(msg)) {
+    const list = knownContainers().map(c => `${c.label || '?'}@${posKey(c.position)}(${Object.values(c.items || {}).reduce((a, b) => a + b, 0)})`)
+    try { bot.chat(list.length ? `Chests: ${list.join(', ')}`.slice(0, 240) : 'I know no chests nearby') } catch (e) {}
+    return true
+  }
+  return false
+}
+
+// --- inventory management ---
+// When free slots drop to INVENTORY_MIN_FREE the bot merges partial stacks, gets rid of junk (dropped, or stored with
+// INVENTORY_JUNK_ACTION=store) and then stashes everything that is neither kept nor junk in the known chests. The
+// hotbar follows HOTBAR_LAYOUT so the usual equips are only a slot switch. Runs between steps and when idle.
+// Up to INVENTORY_WALL_RESERVE of the WALL_BLOCKS are kept for walling off (the rest is junk), and whatever the running
+// gather job or plan is after is never junk.
+const INVENTORY_MIN_FREE = Number(process.env.INVENTORY_MIN_FREE) || 3
+const INVENTORY_KEEP_RE = new RegExp(process.env.INVENTORY_KEEP || STORAGE_KEEP_RE.source)
+const INVENTORY_JUNK_RE = new RegExp(process.env.INVENTORY_JUNK || '^(dirt|coarse_dirt|gravel|andesite|diorite|granite|tuff|calcite|netherrack|rotten_flesh|poisonous_potato|spider_eye)$|_seeds$')
+const INVENTORY_WALL_RESERVE = process.env.INVENTORY_WALL_RESERVE !== undefined ? Number(process.env.INVENTORY_WALL_RESERVE) : 64
+const INVENTORY_STASH_RE = new RegExp(process.env.INVENTORY_STASH || '.')
+const INVENTORY_JUNK_ACTION = process.env.INVENTORY_JUNK_ACTION === 'store' ? 'store' : 'drop'
+const HOTBAR_LAYOUT = (process.env.HOTBAR_LAYOUT || 'weapon,pickaxe,axe,shovel,food,blocks').split(',').map(r => r.trim()).filter(Boolean).slice(0, 9)
+const JUNK_WALK_AWAY = 5 // blocks to walk from dropped junk so it is not picked straight back up
+let inventoryDirty = true
+let organizing = false
+const reservedItems = new Map() // item name -> number of running jobs that want it
+
+// reserveItems: keep these items out of junk and stash until the returned release function is called
+function reserveItems(names) {
+  const list = [...new Set(names)]
+  for (const n of list) reservedItems.set(n, (reservedItems.get(n) || 0) + 1)
+  return () => {
+    for (const n of list) {
+      const left = (reservedItems.get(n) || 1) - 1
+      if (left > 0) reservedItems.set(n, left)
+      else reservedItems.delete(n)
+    }
+  }
+}
+
+// stepTargetItems: the block a dig/mine step aims at and what it drops
+function stepTargetItems(step) {
+  const name = String(step?.name || '').toLowerCase()
+  if (name !== 'dig' && name !== 'mine') return []
+  const p = resolveWaypointParams(step.params || {})
+  if (!p || typeof p.x !== 'number' || typeof p.y !== 'number' || typeof p.z !== 'number') return []
+  const block = bot.blockAt(new Vec3(p.x, p.y, p.z))
+  if (!block) return []
+  return [block.name, ...(bot.registry.blocksByName[block.name]?.drops || []).map(d => bot.registry.items[d]?.name).filter(Boolean)]
+}
+
+// inventoryRole: keep, junk, stash or wall (kept up to the wall reserve) for an item name. The junk list is checked
+// before the food exemption, so rotten flesh and the like can be junk.
+function inventoryRole(name) {
+  if (INVENTORY_KEEP_RE.test(name) || reservedItems.has(name)) return 'keep'
+  if (WALL_BLOCKS.includes(name)) return 'wall'
+  if (INVENTORY_JUNK_RE.test(name)) return 'junk'
+  if (bot.registry.foodsByName[name]) return 'keep'
+  return INVENTORY_STASH_RE.test(name) ? 'stash' : 'keep'
+}
+
+// junkCounts: item name -> how many to get rid of; wall blocks beyond the reserve count, the ones not on the junk
+// list and the biggest piles are kept first
+function junkCounts() {
+  const junk = {}
+  const walls = {}
+  for (const it of bot.inventory.items()) {
+    const role = inventoryRole(it.name)
+    if (role === 'junk') addCounts(junk, { [it.name]: it.count })
+    if (role === 'wall') addCounts(walls, { [it.name]: it.count })
+  }
+  let keep = INVENTORY_WALL_RESERVE
+  const order = Object.entries(walls).sort(([a, n], [b, m]) => (INVENTORY_JUNK_RE.test(a) - INVENTORY_JUNK_RE.test(b)) || m - n)
+  for (const [name, n] of order) {
+    const kept = Math.min(n, keep)
+    keep -= kept
+    if (n > kept) junk[name] = n - kept
+  }
+  return junk
+}
+
+// consolidateStacks: merge partial stacks of the same item (items with NBT are left alone); returns merges done
+async function consolidateStacks() {
+  let merges = 0
+  const partial = bot.inventory.items().filter(i => i.count < i.stackSize && !i.nbt)
+  const byType = new Map()
+  for (const it of partial) {
+    if (!byType.has(it.type)) byType.set(it.type, [])
+    byType.get(it.type).push(it)
+  }
+  for (const stacks of byType.values()) {
+    if (stacks.length < 2) continue
+    stacks.sort((a, b) => b.count - a.count)
+    // pour the smallest stacks into the biggest one that still has room
+    while (stacks.length > 1) {
+      const src = stacks.pop()
+      const dest = stacks[0]
+      await bot.moveSlotItem(src.slot, dest.slot)
+      merges++
+      const now0 = bot.inventory.slots[dest.slot]
+      if (!now0 || now0.count >= now0.stackSize) stacks.shift()
+      const left = bot.inventory.slots[src.slot]
+      if (left && left.type === src.type && stacks.length) stacks.push(left)
+      if (merges > 36) return merges // safety net against a desynced inventory
+    }
+  }
+  return merges
+}
+
+async function disposeJunk() {
+  const junk = Object.entries(junkCounts())
+  if (!junk.length) return 0
+  if (INVENTORY_JUNK_ACTION === 'store' && knownContainers().length) {
+    for (const [name, n] of junk) await depositItems(name, n)
+  } else {
+    const spot = bot.entity.position.clone()
+    for (const [name, n] of junk) { try { await bot.toss(bot.registry.itemsByName[name].id, null, n) } catch (e) {} ; await sleep(100) }
+    // junk lands in front of us: step back the other way before the pickup delay runs out
+    const back = new Vec3(Math.sin(bot.entity.yaw), 0, Math.cos(bot.entity.yaw)).scaled(JUNK_WALK_AWAY)
+    await gotoNear(spot.plus(back), 1)
+  }
+  console.log(`[inventory] ${INVENTORY_JUNK_ACTION === 'store' ? 'stored' : 'dropped'} junk: ${junk.map(([name, n]) => `${n} ${name}`).join(', ')}`)
+  return junk.length
+}
+
+async function stashExtras() {
+  if (!knownContainers().length) return 0
+  const names = [...new Set(bot.inventory.items().filter(i => inventoryRole(i.name) === 'stash').map(i => i.name))]
+  for (const name of names) await depositItems(name)
+  return names.length
+}
+
+// hotbarPick: the item that should sit in a hotbar role slot, or null; items in the taken slots are not considered
+function hotbarPick(role, taken) {
+  const items = bot.inventory.items().filter(i => !isWorn(i) && !taken.has(i.slot))
+  if (role === 'weapon') return WEAPON_RANK.map(n => items.find(i => i.name === n)).find(Boolean) || null
+  if (TOOL_KINDS.includes(role)) {
+    for (const tier of ['netherite', ...TOOL_TIERS]) { const it = items.find(i => i.name === `${tier}_${role}`); if (it) return it }
+    return null
+  }
+  if (role === 'food') return pickFood()
+  if (role === 'blocks') {
+    // prefer building blocks we keep, so the slot is not emptied by the next junk pass
+    const blocks = items.filter(i => WALL_BLOCKS.includes(i.name)).sort((a, b) => b.count - a.count)
+    return blocks.find(i => !INVENTORY_JUNK_RE.test(i.name)) || blocks[0] || null
+  }
+  return items.find(i => i.name === role) || null // a plain item name, e.g. torch
+}
+
+async function arrangeHotbar() {
+  const start = bot.inventory.hotbarStart
+  let moves = 0
+  // slots already filled for an earlier role: an axe that is the weapon is not also moved into the axe slot
+  const taken = new Set()
+  for (let i = 0; i < HOTBAR_LAYOUT.length; i++) {
+    const want = hotbarPick(HOTBAR_LAYOUT[i], taken)
+    const slot = start + i
+    if (!want) continue
+    taken.add(slot)
+    if (want.slot === slot) continue
+    const current = bot.inventory.slots[slot]
+    if (current && current.type === want.type && !isWorn(current)) continue
+    await bot.moveSlotItem(want.slot, slot)
+    moves++
+  }
+  return moves
+}
+
+// organizeInventory: tidy up when space runs low (or when forced) and keep the hotbar layout
+async function organizeInventory(force = false) {
+  if (organizing || bot.currentWindow || !bot.entity) return
+  organizing = true
+  try {
+    if (force || bot.inventory.emptySlotCount() <= INVENTORY_MIN_FREE) {
+      const merged = await consolidateStacks()
+      let junk = 0
+      let stashed = 0
+      if (force || bot.inventory.emptySlotCount() <= INVENTORY_MIN_FREE) junk = await disposeJunk()
+      if (bot.inventory.emptySlotCount() <= INVENTORY_MIN_FREE) stashed = await stashExtras()
+      console.log(`[inventory] merged ${merged}, junk kinds ${junk}, stashed ${stashed} kinds; ${bot.inventory.emptySlotCount()} slots free`)
+      if (bot.inventory.emptySlotCount() === 0) try { bot.chat('My inventory is full and I have nowhere to put things') } catch (e) {}
+    }
+    await arrangeHotbar()
+  } catch (e) {
+    console.error('[inventory] organize failed:', e.message || e)
+  } finally {
+    organizing = false
+    inventoryDirty = false
+  }
+}
+
+bot.on('playerCollect', (collector) => { if (collector === bot.entity) inventoryDirty = true })
+
+setInterval(() => {
+  if (!inventoryDirty || busy || plannerInFlight || defense || blastEvasion || duelState || bedtime) return
+  organizeInventory().catch(() => {})
+}, 10000)
+
 // --- micro-action executor ---
+// executeMicroAction: a goto/inspect/dig interrupted by self-defense is run again once the threat is handled
 async function executeMicroAction(action) {
+  return await resumeAfterDefense(`${action.name} step`, () => runMicroAction(action))
+}
+
+async function runMicroAction(action) {
   const name = (action.name || '').toLowerCase()
-  const p = action.params || {}
+  const p = resolveWaypointParams(action.params || {})
   console.log('[micro] executeMicroAction:', name, p)
+  if (!p) { try { bot.chat(`Unknown waypoint: ${action.params.waypoint}`) } catch (e) {} ; return false }
   if (['goto','goto_coords','move'].includes(name)) {
     if (typeof p.x !== 'number' || typeof p.y !== 'number' || typeof p.z !== 'number') return false
     console.log('[micro] goto ->', p.x, p.y, p.z)
+    const hazard = gotoHazard(new Vec3(p.x, p.y, p.z))
+    if (hazard) { refuseHazard('go', new Vec3(p.x, p.y, p.z).floored(), hazard); return false }
     return await gotoNear(new Vec3(p.x, p.y, p.z), 1)
   }
   if (name === 'inspect') {
@@ -757,7 +3612,10 @@ async function executeMicroAction(action) {
     if (!b) { console.log('[micro] dig: block not found at', p); return false }
     console.log('[micro] dig -> approaching', b.position)
     await gotoNear(b.position, 1)
-    await equipPrefer(['wooden_pickaxe','stone_pickaxe','iron_pickaxe','wooden_axe','stone_axe'])
+    if (!await equipBestTool(b)) {
+      try { bot.chat(`Not digging ${b.name} at ${posKey(b.position)}: it needs ${harvestToolNames(b)} (with more than ${TOOL_MIN_USES} uses left)`) } catch (e) {}
+      return false
+    }
     const res = await safeDig(b)
     console.log('[micro] dig result for', p, ':', res)
     return res
@@ -765,6 +3623,169 @@ async function executeMicroAction(action) {
   return false
 }
 
+// --- action tools ---
+// The executeAction vocabulary declared as OpenAI-style tools, so tool-capable models call actions directly
+// instead of writing JSON that has to be scraped out of the reply.
+function defineTool(name, description, properties = {}, required = []) {
+  return { type: 'function', function: { name, description, parameters: { type: 'object', properties, required, additionalProperties: false } } }
+}
+
+const COORD_PROPERTIES = {
+  x: { type: 'integer', description: 'block x coordinate' },
+  y: { type: 'integer', description: 'block y coordinate' },
+  z: { type: 'integer', description: 'block z coordinate' },
+  waypoint: { type: 'string', description: 'name of a saved waypoint, instead of x,y,z' },
+  rationale: { type: 'string', description: 'one short sentence why' }
+}
+// either x,y,z or waypoint is needed; validateStep enforces that, JSON schema alone cannot say it simply
+const COORDS_REQUIRED = []
+
+const PLAN_TOOLS = [
+  defineTool('inspect', 'Look at the block at the given coordinates and report it in chat.', COORD_PROPERTIES, COORDS_REQUIRED),
+  defineTool('goto', 'Walk next to the given coordinates.', COORD_PROPERTIES, COORDS_REQUIRED),
+  defineTool('dig', 'Walk to the block at the given coordinates and mine it.', COORD_PROPERTIES, COORDS_REQUIRED)
+]
+
+const ACTION_TOOLS = [
+  ...PLAN_TOOLS,
+  defineTool('command', 'Run a server command, e.g. "time set day".', { command: { type: 'string' } }, ['command']),
+  defineTool('dropitems', 'Drop items from the inventory for the player who asked.', { items: { type: 'array', items: { type: 'string' }, description: 'item names, e.g. oak_log' } }),
+  defineTool('give', 'Hand an exact number of an item to a player and wait until they pick it up.', {
+    player: { type: 'string', description: 'player name; defaults to the speaker' },
+    item: { type: 'string', description: 'exact item name, e.g. coal' },
+    count: { type: 'integer', minimum: 1, maximum: 2304 }
+  }, ['item']),
+  defineTool('gotoplayer', 'Walk to a player.', { player: { type: 'string', description: 'player name; defaults to the speaker' } }),
+  defineTool('ensureworkbench', 'Craft and place a crafting table if none is nearby.'),
+  defineTool('craft', 'Craft an item, including intermediate items (planks, sticks, ...) and a crafting table when needed. Reports missing raw materials.', {
+    item: { type: 'string', description: 'item name, e.g. torch or iron_pickaxe' },
+    count: { type: 'integer', minimum: 1, maximum: 64 }
+  }, ['item']),
+  defineTool('gather', 'Mine nearby blocks until the given number of an item is collected, e.g. oak_log, cobblestone, coal, raw_iron.', {
+    item: { type: 'string', description: 'item to collect; "log" means any wood' },
+    count: { type: 'integer', minimum: 1, maximum: 256 }
+  }, ['item']),
+  defineTool('deposit', 'Store items in the known chests, sorted by the storage rules. Without item, stores everything except tools, armor and food.', {
+    item: { type: 'string', description: 'item name; omit for everything' },
+    count: { type: 'integer', minimum: 1 }
+  }),
+  defineTool('withdraw', 'Take items out of the known chests.', {
+    item: { type: 'string' },
+    count: { type: 'integer', minimum: 1, maximum: 2304 }
+  }, ['item']),
+  defineTool('whereis', 'Say in chat which chests hold an item.', { item: { type: 'string' } }, ['item']),
+  defineTool('repair', 'Repair a damaged tool at a nearby anvil with its repair material.', {
+    tool: { type: 'string', description: 'tool name, e.g. iron_pickaxe; defaults to the held item' }
+  }),
+  defineTool('smelt', 'Smelt or cook items in a furnace, placing one if needed. Give the result (iron_ingot, cooked_beef) or the input (raw_iron).', {
+    item: { type: 'string', description: 'result or input item name' },
+    count: { type: 'integer', minimum: 1, maximum: 64 }
+  }, ['item']),
+  defineTool('craftwoodpickaxe', 'Craft a wooden pickaxe.'),
+  defineTool('craftstonepickaxe', 'Craft a stone pickaxe.'),
+  defineTool('status', 'Report health, food and key inventory counts in chat.')
+]
+
+const TOOLS_HINT = 'Tools are available: prefer calling them (one call per action, in order) over writing JSON.'
+
+// toolCallsToActions: convert a message's tool_calls into the { name, params } actions executeAction understands
+function toolCallsToActions(message) {
+  const calls = message && Array.isArray(message.tool_calls) ? message.tool_calls : []
+  const actions = []
+  for (const c of calls) {
+    const fn = c && (c.function || c)
+    if (!fn || !fn.name) continue
+    let params = fn.arguments || {}
+    // OpenAI sends arguments as a JSON string, Ollama as an object
+    if (typeof params === 'string') {
+      try { params = params.trim() ? JSON.parse(params) : {} } catch (e) { console.log('[tools] unparsable arguments for', fn.name, params); continue }
+    }
+    actions.push({ name: String(fn.name).toLowerCase(), params })
+  }
+  return actions
+}
+
+// toolActionToStep: a tool call becomes a plan step; the rationale travels as a tool argument
+function toolActionToStep(action) {
+  const { rationale, ...params } = action.params || {}
+  const step = { name: action.name, params }
+  if (rationale) step.rationale = rationale
+  return step
+}
+
+// --- plan / action validation ---
+const MAX_STEP_DISTANCE = 10
+const MAX_PLAN_STEPS = 8
+const LLM_REPAIR_ROUNDS = process.env.LLM_REPAIR_ROUNDS !== undefined ? Number(process.env.LLM_REPAIR_ROUNDS) : 2
+// alternative names executeAction accepts for a tool
+const ACTION_ALIASES = { mine: 'dig', goto_coords: 'goto', move: 'goto', runcommand: 'command', crafttable: 'ensureworkbench', woodpick: 'craftwoodpickaxe', stonepick: 'craftstonepickaxe' }
+
+// validateSchema: check a value against the JSON-schema subset used by the tool definitions; appends messages to errors
+function validateSchema(value, schema, path, errors) {
+  if (!schema) return errors
+  const t = schema.type
+  if (t === 'integer' && !Number.isInteger(value)) errors.push(`${path}: expected an integer, got ${JSON.stringify(value)}`)
+  else if (t === 'number' && !(typeof value === 'number' && isFinite(value))) errors.push(`${path}: expected a number, got ${JSON.stringify(value)}`)
+  else if (t === 'string' && typeof value !== 'string') errors.push(`${path}: expected a string, got ${JSON.stringify(value)}`)
+  else if (t === 'boolean' && typeof value !== 'boolean') errors.push(`${path}: expected true or false, got ${JSON.stringify(value)}`)
+  else if (t === 'array') {
+    if (!Array.isArray(value)) errors.push(`${path}: expected an array`)
+    else value.forEach((v, i) => validateSchema(v, schema.items, `${path}[${i}]`, errors))
+  } else if (t === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) { errors.push(`${path}: expected an object`); return errors }
+    for (const k of schema.required || []) if (value[k] === undefined) errors.push(`${path}.${k}: missing`)
+    for (const [k, v] of Object.entries(value)) {
+      const sub = schema.properties && schema.properties[k]
+      if (sub) validateSchema(v, sub, `${path}.${k}`, errors)
+      else if (schema.additionalProperties === false) errors.push(`${path}.${k}: unknown parameter`)
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) errors.push(`${path}: must be one of ${schema.enum.join(', ')}`)
+  if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`)
+  if (typeof value === 'number' && typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`)
+  return errors
+}
+
+// validateStep: one plan step / action — known name, params matching the tool schema, coordinates in range
+function validateStep(step, index, tools, label = 'steps') {
+  const path = `${label}[${index}]`
+  if (!step || typeof step !== 'object' || Array.isArray(step)) return [`${path}: expected an object with "name" and "params"`]
+  const name = typeof step.name === 'string' ? step.name.toLowerCase() : ''
+  const tool = tools.find(t => t.function.name === (ACTION_ALIASES[name] || name))
+  if (!tool) return [`${path}.name: ${JSON.stringify(step.name)} is not one of ${tools.map(t => t.function.name).join(', ')}`]
+  const errors = validateSchema(step.params === undefined ? {} : step.params, tool.function.parameters, `${path}.params`, [])
+  if (step.rationale !== undefined && typeof step.rationale !== 'string') errors.push(`${path}.rationale: expected a string`)
+  let p = step.params || {}
+  if (!errors.length && tool.function.parameters.properties.waypoint) {
+    const hasCoords = ['x', 'y', 'z'].every(k => p[k] !== undefined)
+    if (typeof p.waypoint === 'string') {
+      p = resolveWaypointParams(p)
+      if (!p) errors.push(`${path}.params.waypoint: unknown waypoint ${JSON.stringify(step.params.waypoint)} (known: ${[...landmarks.keys()].join(', ') || 'none'})`)
+    } else if (!hasCoords) errors.push(`${path}.params: needs numeric x, y and z or a waypoint name`)
+  }
+  if (!errors.length && p && [p.x, p.y, p.z].every(Number.isFinite) && bot.entity && !(tool.function.name === 'goto' && p.waypoint)) {
+    const dist = bot.entity.position.distanceTo(new Vec3(p.x, p.y, p.z))
+    if (dist > MAX_STEP_DISTANCE) errors.push(`${path}.params: ${p.x},${p.y},${p.z} is ${dist.toFixed(1)} blocks from the bot (max ${MAX_STEP_DISTANCE})`)
+  }
+  return errors
+}
+
+// validatePlanSteps: validate a whole steps/actions array; returns a list of error messages (empty when valid)
+function validatePlanSteps(steps, tools, maxSteps, label = 'steps') {
+  if (!Array.isArray(steps) || !steps.length) return [`${label}: expected a non-empty array`]
+  const errors = []
+  if (steps.length > maxSteps) errors.push(`${label}: ${steps.length} entries, at most ${maxSteps} allowed`)
+  steps.forEach((s, i) => errors.push(...validateStep(s, i, tools, label)))
+  return errors
+}
+
+// repairPrompt: feed validation errors back to the model for another attempt
+function repairPrompt(label, errors, useTools) {
+  const list = errors.slice(0, 10).map(e => `- ${e}`).join('\n')
+  const how = useTools ? 'Call the tools again with corrected arguments, or reply' : 'Reply'
+  return `Your ${label} failed validation:\n${list}\n${how} with the corrected complete JSON only. The bot is at ${bot.entity ? posKey(bot.entity.position.floored()) : 'unknown'}.`
+}
+
 // Execute a single high-level action (wrapping micro primitives and commands)
 async function executeAction(username, action) {
   if (!action || !action.name) return false
@@ -816,7 +3837,48 @@ async function executeAction(username, action) {
     return await gotoPlayer(player)
   }
   if (name === 'ensureworkbench' || name === 'crafttable') {
-    return await ensureWorkbench()
+    return !!(await ensureWorkbench())
+  }
+  if (name === 'gather') {
+    const item = typeof p.item === 'string' ? p.item.trim().toLowerCase().replace(/\s+/g, '_') : null
+    if (!item) { console.log('[exec] gather missing item param'); return false }
+    return await gather(item, Number.isInteger(p.count) && p.count > 0 ? p.count : 8)
+  }
+  if (name === 'give') {
+    const item = typeof p.item === 'string' ? p.item.trim().toLowerCase().replace(/\s+/g, '_') : null
+    if (!item) { console.log('[exec] give missing item param'); return false }
+    const player = typeof p.player === 'string' && p.player.toLowerCase() !== 'me' ? p.player : username
+    return await giveItem(player, item, Number.isInteger(p.count) && p.count > 0 ? p.count : 1)
+  }
+  if (name === 'deposit') {
+    const item = typeof p.item === 'string' ? p.item.trim().toLowerCase().replace(/\s+/g, '_') : 'all'
+    return await depositItems(item, Number.isInteger(p.count) ? p.count : null)
+  }
+  if (name === 'withdraw') {
+    const item = typeof p.item === 'string' ? p.item.trim().toLowerCase().replace(/\s+/g, '_') : null
+    if (!item) { console.log('[exec] withdraw missing item param'); return false }
+    return await withdrawItems(item, Number.isInteger(p.count) && p.count > 0 ? p.count : 1)
+  }
+  if (name === 'whereis') {
+    const item = typeof p.item === 'string' ? p.item.trim().toLowerCase().replace(/\s+/g, '_') : null
+    if (!item) return false
+    try { bot.chat(describeItemLocations(item).slice(0, 240)) } catch (e) {}
+    return true
+  }
+  if (name === 'repair') {
+    const tool = typeof p.tool === 'string' ? p.tool.trim().toLowerCase().replace(/\s+/g, '_') : (bot.heldItem && bot.heldItem.name)
+    if (!tool) { console.log('[exec] repair missing tool param'); return false }
+    return await repairTool(tool)
+  }
+  if (name === 'smelt') {
+    const item = typeof p.item === 'string' ? p.item.trim().toLowerCase().replace(/\s+/g, '_') : null
+    if (!item) { console.log('[exec] smelt missing item param'); return false }
+    return await smeltTo(item, Number.isInteger(p.count) && p.count > 0 ? p.count : 1)
+  }
+  if (name === 'craft') {
+    const item = typeof p.item === 'string' ? p.item.trim().toLowerCase().replace(/\s+/g, '_') : null
+    if (!item) { console.log('[exec] craft missing item param'); return false }
+    return await craftItem(item, Number.isInteger(p.count) && p.count > 0 ? p.count : 1)
   }
   if (name === 'craftwoodpickaxe' || name === 'woodpick') {
     return await ensureWoodPick()
@@ -839,34 +3901,49 @@ async function gptPlanAndExecute(username, message) {
   console.log('[gpt] gptPlanAndExecute called for', username, 'message:', message)
   // try to extract explicit JSON actions provided in message first
   let actions = parseJsonActionsFromReply(message)
+  // JSON actions typed into chat get the same schema check as the model's, but there is nobody to repair them
+  if (actions && actions.length) {
+    const errors = validatePlanSteps(actions, ACTION_TOOLS, MAX_PLAN_STEPS, 'actions')
+    if (errors.length) {
+      console.log('[validate] chat actions rejected:', errors)
+      try { bot.chat('Actions rejected: ' + errors[0]) } catch (e) {}
+      return false
+    }
+  }
   if (!actions || !actions.length) actions = parseCommandLineFromReply(message)
 
   // if none, ask LLM to produce actions
   if (!actions || !actions.length) {
     if (!sendChatCompletion) return false
-    const SYSTEM = `You are a helpful Minecraft assistant (Llama). Given a user's chat message, output ONLY JSON with a top-level "actions" array. Each action must be one of: inspect, goto, dig, mine, or command. For inspect/goto/dig/mine include numeric x,y,z in params. Keep actions small and local (within 10 blocks). Example: {"actions":[{"name":"inspect","params":{"x":100,"y":64,"z":-5}},{"name":"dig","params":{"x":100,"y":64,"z":-5}}]}`
-    const messages = [{ role: 'system', content: SYSTEM }, { role: 'user', content: `User ${username} said: ${message}` }]
+    if (llmBreaker.isOpen()) return await offlineChatFallback(username, message)
+    const SYSTEM = `You are a helpful Minecraft assistant (Llama). Given a user's chat message, output ONLY JSON with a top-level "actions" array. Each action must be one of: inspect, goto, dig, mine, gather, craft, smelt, give, or command. For inspect/goto/dig/mine include numeric x,y,z in params, or {"waypoint":"name"} for a saved waypoint. For gather, craft and smelt use {"item":"name","count":n}; for give add "player". Keep actions small and local (within 10 blocks). Example: {"actions":[{"name":"inspect","params":{"x":100,"y":64,"z":-5}},{"name":"dig","params":{"x":100,"y":64,"z":-5}}]}`
+    const messages = [{ role: 'system', content: SYSTEM }, { role: 'user', content: withWorldContext(`User ${username} said: ${message}`) }]
     try {
-      console.log('[gpt] requesting plan from LLM')
-      const res = await sendChatCompletion({ model: process.env.GPT4ALL_MODEL || 'Llama 3 8B Instruct', messages, temperature: 0.12 })
-      let reply = ''
-      if (!res) return false
-      if (typeof res === 'string') reply = res
-      else if (Array.isArray(res.choices) && res.choices.length) {
-        const f = res.choices[0]
-        reply = (f.message && f.message.content) || f.text || (f.delta && f.delta.content) || f.content || ''
-      } else if (res.text) reply = res.text
-      else reply = JSON.stringify(res)
-
-      // send a readable LLM reply into Minecraft chat (sanitized)
-      try {
-        const chatText = sanitizeLLMReplyForChat(reply)
-        if (chatText) { bot.chat && bot.chat(chatText); console.log('[gpt] sent LLM reply to chat:', chatText) }
-      } catch (e) { console.log('Failed to send LLM reply to chat:', e) }
-
-      console.log('[gpt] LLM reply:', reply.slice(0, 400))
-      actions = parseJsonActionsFromReply(reply) || parseCommandLineFromReply(reply) || []
-      console.log('[gpt] parsed actions count:', actions.length)
+      for (let round = 0; ; round++) {
+        // re-checked every round: a model that rejected tools gets the JSON prompt from then on
+        const useTools = llmToolsEnabled()
+        messages[0].content = useTools ? `${SYSTEM} ${TOOLS_HINT}` : SYSTEM
+        // with repair rounds off, streamed actions are validated one by one and start while the model is still talking;
+        // otherwise the whole list has to pass before anything runs
+        const streamQueue = createStepQueue(a => executeAction(username, a))
+        const result = await requestActionsOnce(messages, useTools, LLM_REPAIR_ROUNDS === 0 ? streamQueue : null)
+        if (await streamQueue.finish()) {
+          if (result.errors.length) console.log('[validate] streamed actions stopped early:', result.errors)
+          return true
+        }
+        actions = result.actions
+        // a plain conversational answer without any JSON is not a broken plan
+        if (!actions.length && !/[{}]/.test(result.reply)) { console.log('[gpt] reply contains no actions'); return false }
+        const errors = validatePlanSteps(actions, ACTION_TOOLS, MAX_PLAN_STEPS, 'actions')
+        if (!errors.length) { console.log(`[validate] actions passed (${actions.length}, ${round} repair round(s))`); break }
+        if (round >= LLM_REPAIR_ROUNDS) {
+          console.log(`[validate] actions failed after ${round} repair round(s):`, errors)
+          try { bot.chat('Actions rejected: ' + errors[0]) } catch (e) {}
+          return false
+        }
+        console.log(`[validate] actions invalid, repair round ${round + 1}/${LLM_REPAIR_ROUNDS}:`, errors)
+        messages.push({ role: 'assistant', content: result.reply || JSON.stringify({ actions }) }, { role: 'user', content: repairPrompt('actions', errors, llmToolsEnabled()) })
+      }
     } catch (e) {
       console.error('gptPlanAndExecute sendChatCompletion failed:', e)
       return false
@@ -878,11 +3955,53 @@ async function gptPlanAndExecute(username, message) {
   for (const a of actions) {
     console.log('[gpt] executing action:', a)
     try { await executeAction(username, a) } catch (e) { console.error('executeAction failed for', a, e) }
+    await betweenSteps()
     await sleep(150)
   }
   return true
 }
 
+// requestActionsOnce: one chat round trip; returns parsed actions, the raw reply and validation errors of streamed actions
+async function requestActionsOnce(messages, useTools, streamQueue) {
+  const streamErrors = []
+  let streamed = 0
+  console.log('[gpt] requesting plan from LLM')
+  const request = { messages, temperature: 0.12, tools: useTools ? ACTION_TOOLS : null }
+  if (LLM_STREAM) {
+    request.stream = true
+    request.onSentence = s => sayStreamedSentence(s, '[gpt]')
+    if (streamQueue) request.onItem = obj => {
+      if (!obj || typeof obj.name !== 'string' || streamErrors.length) return
+      const errors = validateStep(obj, streamed, ACTION_TOOLS, 'actions')
+      if (errors.length) { streamErrors.push(...errors); return }
+      streamed++
+      streamQueue.push(obj)
+    }
+  }
+  const res = await sendChatCompletion(request)
+  let reply = ''
+  if (!res) return { actions: [], reply, errors: streamErrors }
+  if (typeof res === 'string') reply = res
+  else if (Array.isArray(res.choices) && res.choices.length) {
+    const f = res.choices[0]
+    reply = (f.message && f.message.content) || f.text || (f.delta && f.delta.content) || f.content || ''
+  } else if (res.text) reply = res.text
+  else reply = JSON.stringify(res)
+
+  // send a readable LLM reply into Minecraft chat (sanitized)
+  if (!res.streamed) try {
+    const chatText = sanitizeLLMReplyForChat(reply)
+    if (chatText) { bot.chat && bot.chat(chatText); console.log('[gpt] sent LLM reply to chat:', chatText) }
+  } catch (e) { console.log('Failed to send LLM reply to chat:', e) }
+
+  console.log('[gpt] LLM reply:', reply.slice(0, 400))
+  // dispatch native tool calls directly; scrape the text only when the model did not call any tool
+  let actions = toolCallsToActions(res.choices && res.choices[0] && res.choices[0].message)
+  if (!actions.length) actions = parseJsonActionsFromReply(reply) || parseCommandLineFromReply(reply) || []
+  console.log('[gpt] parsed actions count:', actions.length)
+  return { actions, reply, errors: streamErrors }
+}
+
 function parseJsonActionsFromReply(text) {
   if (!text) return null
   // try fenced JSON first
@@ -953,6 +4072,13 @@ function parseCommandLineFromReply(text) {
   })
 }
 
+// chat one streamed sentence as soon as it is complete
+function sayStreamedSentence(sentence, tag = '[gpt]') {
+  const chatText = sanitizeLLMReplyForChat(sentence)
+  if (!chatText) return
+  try { bot.chat && bot.chat(chatText); console.log(tag, 'streamed sentence to chat:', chatText) } catch (e) { console.log('Failed to send streamed sentence to chat:', e) }
+}
+
 function sanitizeLLMReplyForChat(reply) {
   if (!reply) return ''
   // remove fenced code blocks